@@ -11,11 +11,13 @@ import Animated, {
 } from 'react-native-reanimated';
 import { Ionicons } from '@expo/vector-icons';
 import NewFormModal from '../FormPages/NewForm';
+import { getSession, signOut } from '../app';
 
 /**
  * Home component serves as the app’s landing screen.
  * It uses smooth animations to introduce the FormBase logo, title, and subtitle.
- * The page provides a “Create New Form” button that opens a modal for creating forms.
+ * The page provides a “Create New Form” button that opens a modal for creating forms,
+ * and a sign-out link for the current user.
  */
 export default function Home() {
   const [newFormVisible, setNewFormVisible] = useState(false);
@@ -90,6 +92,11 @@ export default function Home() {
             <Ionicons name="add-circle-outline" size={22} color="white" style={styles.icon} />
             <Text style={styles.buttonText}>Create New Form</Text>
           </TouchableOpacity>
+
+          <TouchableOpacity style={styles.signOut} onPress={signOut}>
+            <Ionicons name="log-out-outline" size={18} color="#555" style={styles.icon} />
+            <Text style={styles.signOutText}>Sign out ({getSession()?.username})</Text>
+          </TouchableOpacity>
         </View>
 
         {/* New Form Modal */}
@@ -165,4 +172,13 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  signOut: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  signOutText: {
+    color: '#555',
+    fontSize: 14,
+  },
 });
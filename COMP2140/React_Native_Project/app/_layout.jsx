@@ -1,8 +1,19 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Tabs } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
+import { getSession, onSessionChange } from '../app';
+import SignIn from '../components/SignIn';
 
 export default function Layout() {
+  const [session, setSession] = useState(getSession());
+
+  // Show the sign-in screen until a user signs in, and again after sign-out or a 401
+  useEffect(() => onSessionChange(setSession), []);
+
+  if (!session) {
+    return <SignIn />;
+  }
+
   return (
     <Tabs
       screenOptions={({ route }) => ({
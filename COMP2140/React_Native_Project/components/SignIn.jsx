@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { signIn } from '../app';
+
+/**
+ * SignIn is shown instead of the app until the user signs in.
+ * The user pastes the JWT issued for the FormBase API; the username is read from
+ * the token claims and the session lasts until sign-out or the app closes.
+ */
+export default function SignIn() {
+  const [token, setToken] = useState('');
+  const [error, setError] = useState('');
+
+  /**
+   * handleSignIn validates and stores the token. The root layout re-renders
+   * the tabs once the session changes.
+   */
+  const handleSignIn = () => {
+    try {
+      signIn(token);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea}>
+      <View style={styles.container}>
+        <Ionicons name="lock-closed-outline" size={48} color="#137547" />
+        <Text style={styles.title}>Sign in to FormBase</Text>
+        <Text style={styles.subtitle}>Paste the JSON Web Token issued to you for the API.</Text>
+
+        <TextInput
+          style={styles.input}
+          value={token}
+          onChangeText={(text) => {
+            setToken(text);
+            setError('');
+          }}
+          placeholder="eyJhbGciOi..."
+          autoCapitalize="none"
+          autoCorrect={false}
+          multiline
+        />
+
+        {error ? <Text style={styles.error}>{error}</Text> : null}
+
+        <TouchableOpacity style={styles.button} activeOpacity={0.8} onPress={handleSignIn}>
+          <Text style={styles.buttonText}>Sign in</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+// ---------- STYLES ----------
+const styles = StyleSheet.create({
+  safeArea: {
+    flex: 1,
+    backgroundColor: '#ffffff',
+  },
+  container: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 24,
+  },
+  title: {
+    fontSize: 26,
+    fontWeight: '700',
+    color: '#137547',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 15,
+    color: '#555',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  input: {
+    width: '100%',
+    maxWidth: 360,
+    minHeight: 100,
+    borderWidth: 1,
+    borderColor: '#ccc',
+    borderRadius: 10,
+    padding: 12,
+    fontSize: 14,
+    textAlignVertical: 'top',
+  },
+  error: {
+    color: '#c0392b',
+    marginTop: 8,
+  },
+  button: {
+    width: '100%',
+    maxWidth: 360,
+    backgroundColor: '#137547',
+    paddingVertical: 12,
+    borderRadius: 10,
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
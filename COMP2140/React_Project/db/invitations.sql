@@ -0,0 +1,101 @@
+-- Invitation links: what the AI server (src/components/Ai/invitations.js) may do for applicants.
+--
+-- Applicants have no API credentials, and row-level security limits every table to the rows of
+-- the interviewer in the JWT's `username` claim, so no interviewer's token can open another
+-- interviewer's invitations. Instead the server signs in as `invitation_service`, a role with no
+-- rights on any table: all it can do is call the functions below, which only reach the applicant
+-- an invite token was issued to (whichever interviewer owns them), and only write while that
+-- invitation is open (not expired, not completed).
+--
+-- Run this as the owner of the tables: the functions are `security definer`, so they run with the
+-- owner's rights instead of being limited to one interviewer's rows. Then sign a JWT with the API's
+-- JWT secret and the claim { "role": "invitation_service" }, and set it as the server's
+-- INVITATION_SERVICE_TOKEN. Anyone holding that JWT can open any invitation they have the token
+-- of, so keep it on the server.
+
+create role invitation_service nologin;
+grant invitation_service to authenticator;
+grant usage on schema public to invitation_service;
+
+-- The applicant an invite token was issued to, with their interview, its questions and their
+-- answers (null for an unknown token)
+create or replace function invitation(token text) returns json
+language sql stable security definer set search_path = public
+as $$
+  select json_build_object(
+    'applicant', to_json(a),
+    'interview', (select to_json(i) from interview i where i.id = a.interview_id),
+    'questions', coalesce(
+      (select json_agg(q order by q.sort_order, q.id) from question q where q.interview_id = a.interview_id),
+      '[]'),
+    'answers', coalesce(
+      (select json_agg(x order by x.id) from applicant_answer x where x.applicant_id = a.id),
+      '[]'))
+  from applicant a
+  where a.invite_token = invitation.token;
+$$;
+
+-- Create the applicant's answer to one of their interview's questions
+-- (`fields`: answer, time_spent_seconds, audio_url, started_at)
+create or replace function create_invitation_answer(token text, question_id integer, fields jsonb)
+returns setof applicant_answer
+language sql security definer set search_path = public
+as $$
+  insert into applicant_answer
+    (applicant_id, interview_id, question_id, username, answer, time_spent_seconds, audio_url, started_at)
+  select a.id, a.interview_id, q.id, a.username, f.answer, f.time_spent_seconds, f.audio_url, f.started_at
+  from applicant a
+  join question q on q.interview_id = a.interview_id and q.id = create_invitation_answer.question_id
+  cross join jsonb_populate_record(null::applicant_answer, fields) f
+  where a.invite_token = create_invitation_answer.token
+    and a.invite_expires_at > now()
+    and a.interview_status <> 'Completed'
+  returning *;
+$$;
+
+-- Update one of the applicant's answers (`fields`: answer, time_spent_seconds, audio_url;
+-- columns left out keep their value)
+create or replace function update_invitation_answer(token text, answer_id integer, fields jsonb)
+returns setof applicant_answer
+language sql security definer set search_path = public
+as $$
+  update applicant_answer x
+  set (answer, time_spent_seconds, audio_url) = (
+    select f.answer, f.time_spent_seconds, f.audio_url from jsonb_populate_record(x, fields) f)
+  from applicant a
+  where x.id = update_invitation_answer.answer_id
+    and x.applicant_id = a.id
+    and a.invite_token = update_invitation_answer.token
+    and a.invite_expires_at > now()
+    and a.interview_status <> 'Completed'
+  returning x.*;
+$$;
+
+-- Move the applicant's interview on (`fields`: interview_status, started_at, completed_at;
+-- columns left out keep their value)
+create or replace function update_invitation_applicant(token text, fields jsonb)
+returns setof applicant
+language sql security definer set search_path = public
+as $$
+  update applicant a
+  set (interview_status, started_at, completed_at) = (
+    select f.interview_status, f.started_at, f.completed_at from jsonb_populate_record(a, fields) f)
+  where a.invite_token = update_invitation_applicant.token
+    and a.invite_expires_at > now()
+    and a.interview_status <> 'Completed'
+  returning a.*;
+$$;
+
+-- Functions can be called by everyone unless revoked: only the server's role may call these
+revoke execute on function
+  invitation(text),
+  create_invitation_answer(text, integer, jsonb),
+  update_invitation_answer(text, integer, jsonb),
+  update_invitation_applicant(text, jsonb)
+from public;
+grant execute on function
+  invitation(text),
+  create_invitation_answer(text, integer, jsonb),
+  update_invitation_answer(text, integer, jsonb),
+  update_invitation_applicant(text, jsonb)
+to invitation_service;
@@ -2,8 +2,12 @@ import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import Applicants from './screens/Applicants'
 import Interviews from './screens/Interviews'
 import Questions from './screens/Questions'
+import Library from './screens/Library'
 import TakeInterview from "./components/TakeInterview/TakeInterview";
 import Home from './screens/Home';
+import Login from './screens/Login';
+import Review from './screens/Review';
+import RequireAuth from "./components/Auth/RequireAuth";
 import { Toaster } from "react-hot-toast";
 
 const App = () => {
@@ -11,10 +15,13 @@ const App = () => {
     <Router>
       <Routes>
       <Route path='/' element={<Home/>}/>
-      <Route path='/Interviews' element={<Interviews/>}/>
-      <Route path='/Questions' element={<Questions/>}/>
-      <Route path='/Applicants' element={<Applicants/>}/>
-      <Route path="/interview/:id" element={<TakeInterview />} />
+      <Route path='/login' element={<Login/>}/>
+      <Route path='/Interviews' element={<RequireAuth><Interviews/></RequireAuth>}/>
+      <Route path='/Questions' element={<RequireAuth><Questions/></RequireAuth>}/>
+      <Route path='/Library' element={<RequireAuth><Library/></RequireAuth>}/>
+      <Route path='/Applicants' element={<RequireAuth><Applicants/></RequireAuth>}/>
+      <Route path='/Applicants/:id/review' element={<RequireAuth><Review/></RequireAuth>}/>
+      <Route path="/interview/:token" element={<TakeInterview />} />
       </Routes>
       <Toaster position="top-right" />
     </Router>
@@ -1,83 +1,511 @@
+import process from "node:process";
 import express from "express";
 import dotenv from "dotenv";
 import cors from "cors";
 import { z } from "zod";
 import { ChatPromptTemplate } from "@langchain/core/prompts";
-import { ChatOpenAI } from "@langchain/openai";
+import { getModel } from "./providers.js";
+import { createCache } from "./cache.js";
+import { createRateLimiter } from "./rateLimit.js";
+import { createRecordings } from "./recordings.js";
+import { createEmailRouter } from "./emails.js";
+import { createInvitationRouter } from "./invitations.js";
+import { createInterviewerAuth } from "./interviewerAuth.js";
 
 dotenv.config();
 
 const app = express();
+const APP_ORIGIN = process.env.APP_ORIGIN || "http://localhost:5173";
+const INTERVIEW_API_URL = process.env.INTERVIEW_API_URL || "https://comp2140a2.uqcloud.net/api";
 // allow the Vite dev origin
 app.use(cors({
-  origin: "http://localhost:5173",
-  methods: ["GET", "POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type"],
+  origin: APP_ORIGIN,
+  methods: ["GET", "POST", "PUT", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization"],
+  exposedHeaders: ["Retry-After"],
 }));
 
 app.use(express.json());
 
-//Schema for questions with difficulty
-const QuestionSchema = z.object({
-  position: z.string(),
-  questions: z.array(
-    z.object({
-      text: z.string(),
-      difficulty: z.enum(["Easy", "Intermediate", "Advanced"]),
+// Lets only signed-in interviewers through to the routes it guards
+const interviewerAuth = createInterviewerAuth({ apiUrl: INTERVIEW_API_URL });
+
+// Per-IP rate limit on the AI endpoints, so a runaway client cannot run up the model bill
+app.use(["/api/generate-question", "/api/draft-interview", "/api/evaluate-answer"], createRateLimiter({
+  capacity: Number(process.env.AI_RATE_LIMIT_BURST) || 10,
+  refillPerMinute: Number(process.env.AI_RATE_LIMIT_PER_MINUTE) || 10,
+}));
+
+// Answer evaluation reads applicants' transcripts, so only interviewers may ask for it
+app.use("/api/evaluate-answer", interviewerAuth);
+
+// Applicants' answer recordings, stored on local disk. Applicants upload them through their
+// invitation link (below); otherwise only signed-in interviewers can upload or play them back.
+// Uploads are rate limited too, so nobody can fill the disk with them
+const recordings = createRecordings({
+  dir: process.env.RECORDINGS_DIR || ".data/recordings",
+  path: "/api/recordings",
+});
+app.post(["/api/recordings", "/api/invitations/:token/recordings"], createRateLimiter({
+  capacity: Number(process.env.RECORDING_RATE_LIMIT_BURST) || 20,
+  refillPerMinute: Number(process.env.RECORDING_RATE_LIMIT_PER_MINUTE) || 10,
+  label: "upload",
+}));
+app.use("/api/recordings", interviewerAuth, recordings.router);
+
+// Invitation and reminder emails to applicants (SMTP defaults suit a local catcher such as Mailpit),
+// sent only for signed-in interviewers, and a few at a time so the server cannot be used to spam
+app.use("/api/emails", createRateLimiter({
+  capacity: Number(process.env.EMAIL_RATE_LIMIT_BURST) || 20,
+  refillPerMinute: Number(process.env.EMAIL_RATE_LIMIT_PER_MINUTE) || 5,
+  label: "email",
+}), interviewerAuth, createEmailRouter({
+  smtp: {
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  },
+  from: process.env.MAIL_FROM || "ReadySetHire <no-reply@readysethire.local>",
+  appOrigin: APP_ORIGIN,
+}));
+
+// Applicants taking their interview through their invitation link, as the API's invitation_service role
+app.use("/api/invitations", createInvitationRouter({
+  apiUrl: INTERVIEW_API_URL,
+  apiToken: process.env.INVITATION_SERVICE_TOKEN,
+  recordings,
+}));
+
+const DIFFICULTIES = ["Easy", "Intermediate", "Advanced"];
+const STYLES = ["mixed", "technical", "behavioural", "situational"];
+const MAX_QUESTIONS = 10;
+
+//Schema for a single question with difficulty
+const QuestionItemSchema = z.object({
+  text: z.string(),
+  difficulty: z.enum(DIFFICULTIES),
+});
+
+//Options shared by every request that generates questions
+const GenerationOptionsSchema = z.object({
+  count: z.number().int().min(1).max(MAX_QUESTIONS).optional(),
+  mix: z
+    .object({
+      Easy: z.number().int().min(0),
+      Intermediate: z.number().int().min(0),
+      Advanced: z.number().int().min(0),
     })
-  ).length(5), // enforce exactly 5 questions
+    .optional(),
+  style: z.enum(STYLES).default("mixed"),
+  avoid: z.array(z.string().trim().min(1)).max(20).default([]),
 });
 
+//Resolve the number of questions a request asks for
+function withQuestionCount(schema) {
+  return schema
+    .transform((options) => ({
+      ...options,
+      // A difficulty mix sets the number of questions
+      count: options.mix
+        ? DIFFICULTIES.reduce((sum, d) => sum + options.mix[d], 0)
+        : options.count ?? 5,
+    }))
+    .refine((options) => options.count >= 1 && options.count <= MAX_QUESTIONS, {
+      message: `A difficulty mix must add up to between 1 and ${MAX_QUESTIONS} questions`,
+      path: ["mix"],
+    });
+}
+
+//Request options for question generation
+const GenerationRequestSchema = withQuestionCount(
+  GenerationOptionsSchema.extend({ position: z.string().min(1) })
+);
+
+//Request options for drafting a whole interview from a job ad or title
+const DraftRequestSchema = withQuestionCount(
+  GenerationOptionsSchema.extend({ source: z.string().trim().min(3).max(20000) })
+);
+
+//Schema for questions with difficulty, sized to the requested count
+function questionSchemaFor({ count }) {
+  return z.object({
+    position: z.string(),
+    questions: z.array(QuestionItemSchema).length(count), // enforce exactly `count` questions
+  });
+}
+
+//Schema for a drafted interview with its questions
+function draftSchemaFor({ count }) {
+  return z.object({
+    title: z.string().min(1),
+    job_role: z.string().min(1),
+    description: z.string().min(1),
+    questions: z.array(QuestionItemSchema).length(count),
+  });
+}
+
+//Stricter schema used to double-check results: also enforces the difficulty mix
+function withMixCheck(schema, options) {
+  return schema.superRefine((data, ctx) => {
+    if (!options.mix) return;
+    DIFFICULTIES.forEach((difficulty) => {
+      const found = data.questions.filter((q) => q.difficulty === difficulty).length;
+      if (found !== options.mix[difficulty]) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ["questions"],
+          message: `Expected ${options.mix[difficulty]} ${difficulty} questions, got ${found}`,
+        });
+      }
+    });
+  });
+}
+
+function validatedQuestionSchemaFor(options) {
+  return withMixCheck(questionSchemaFor(options), options);
+}
+
+/**
+ * Read question generation options from a request.
+ * POST takes a JSON body; GET takes query params (`mix` as "Easy,Intermediate,Advanced" counts, `avoid` comma-separated).
+ */
+function parseGenerationRequest(req) {
+  if (req.method !== "GET") {
+    return GenerationRequestSchema.safeParse(req.body ?? {});
+  }
+
+  const { position, count, mix, style, avoid } = req.query;
+  const [Easy, Intermediate, Advanced] = mix ? String(mix).split(",").map(Number) : [];
+  return GenerationRequestSchema.safeParse({
+    position,
+    count: count === undefined ? undefined : Number(count),
+    mix: mix ? { Easy, Intermediate, Advanced } : undefined,
+    style,
+    avoid: avoid ? String(avoid).split(",") : undefined,
+  });
+}
+
+// Error messages for missing required fields
+const REQUIRED_MESSAGES = {
+  position: "Position is required",
+  source: "A job ad or interview title is required",
+};
+
+//Respond 400 to invalid generation options
+function sendInvalidRequest(res, error) {
+  const missing = error.issues.find((i) => REQUIRED_MESSAGES[i.path[0]]);
+  return res.status(400).json({
+    error: missing ? REQUIRED_MESSAGES[missing.path[0]] : "Invalid question generation options",
+    details: error.flatten(),
+  });
+}
+
+// Style guidance added to the prompt
+const STYLE_INSTRUCTIONS = {
+  mixed: "Questions should be tailored to the role — technical for engineers, behavioral for managers, clinical for healthcare, etc.",
+  technical: "All questions must be technical, testing the knowledge and skills the role needs.",
+  behavioural: "All questions must be behavioural, asking about past experiences (e.g. \"Tell me about a time...\").",
+  situational: "All questions must be situational, asking how the applicant would handle a hypothetical scenario in the role.",
+};
+
+//Prompt variables for the requested options (other fields, e.g. `position`, are passed through)
+function promptInputFor({ count, mix, style, avoid, ...fields }) {
+  const mixSummary = mix ? DIFFICULTIES.map((d) => `${mix[d]} ${d}`).join(", ") : "any";
+  return {
+    ...fields,
+    count,
+    style,
+    mixSummary,
+    avoidSummary: avoid.length ? avoid.join(", ") : "none",
+    difficultyInstructions: mix
+      ? `Use exactly this difficulty mix: ${mixSummary}.`
+      : "Choose a sensible spread of difficulties for the role.",
+    styleInstructions: STYLE_INSTRUCTIONS[style],
+    avoidInstructions: avoid.length
+      ? "Do not ask about any of the topics listed under `Avoid topics`."
+      : "",
+  };
+}
+
 //Prompt
 const prompt = ChatPromptTemplate.fromMessages([
   [
     "system",
-    "You are an interview assistant. Generate exactly 5 distinct interview questions for the given job position. " +
-    "Each question must include a difficulty: Easy, Intermediate, or Advanced. " +
-    "Questions should be tailored to the role — technical for engineers, behavioral for managers, clinical for healthcare, etc. " +
+    "You are an interview assistant. Generate exactly {count} distinct interview questions for the given job position. " +
+    "Each question must include a difficulty: Easy, Intermediate, or Advanced. {difficultyInstructions} " +
+    "{styleInstructions} {avoidInstructions} " +
     "Return only structured JSON with two fields: `position` (string) and `questions` (array of objects with keys `text` and `difficulty`)."
   ],
   [
     "human",
-    "Position: {position}"
+    "Position: {position}\nNumber of questions: {count}\nDifficulty mix: {mixSummary}\nStyle: {style}\nAvoid topics: {avoidSummary}"
   ],
 ]);
 
-// Choose model by provider
-function getModel() {
-  const provider = process.env.AI_PROVIDER;
-  if (provider === "openai") {
-    // Uses OPENAI_API_KEY
-    return new ChatOpenAI({
-      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
-      temperature: 0.7,
-    });
-  }
-  throw new Error(`Unsupported AI provider: ${provider}`);
+//Prompt for drafting an interview
+const draftPrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    "You are an interview assistant. From the job ad or interview title provided, draft an interview: " +
+    "a concise `title`, the `job_role` being hired for, a short `description` of the interview for applicants, " +
+    "and exactly {count} distinct interview questions for the role. " +
+    "Each question must include a difficulty: Easy, Intermediate, or Advanced. {difficultyInstructions} " +
+    "{styleInstructions} {avoidInstructions} " +
+    "Return only structured JSON with the fields `title`, `job_role`, `description` and `questions` (array of objects with keys `text` and `difficulty`)."
+  ],
+  [
+    "human",
+    "Number of questions: {count}\nDifficulty mix: {mixSummary}\nStyle: {style}\nAvoid topics: {avoidSummary}\nJob ad: {source}"
+  ],
+]);
+
+//Schema for an answer assessment
+const AssessmentSchema = z.object({
+  score: z.number().int().min(1).max(5),
+  strengths: z.array(z.string()),
+  gaps: z.array(z.string()),
+  confidence: z.number().min(0).max(1),
+});
+
+//Request body for answer evaluation
+const EvaluationRequestSchema = z.object({
+  question: z.string().min(1),
+  difficulty: z.enum(["Easy", "Intermediate", "Advanced"]),
+  position: z.string().min(1),
+  transcript: z.string(),
+});
+
+//Prompt for answer evaluation
+const evaluationPrompt = ChatPromptTemplate.fromMessages([
+  [
+    "system",
+    "You are an interview assessor pre-screening applicants before a human reviews them. " +
+    "Assess the applicant's answer to the interview question for the given job position, taking the question's difficulty into account. " +
+    "Give a `score` from 1 (poor) to 5 (excellent), a list of `strengths` and a list of `gaps` (short phrases, empty if none), " +
+    "and a `confidence` between 0 and 1 for how sure you are of the score. An empty or off-topic answer scores 1. " +
+    "Return only structured JSON with the fields `score`, `strengths`, `gaps` and `confidence`."
+  ],
+  [
+    "human",
+    "Position: {position}\nDifficulty: {difficulty}\nQuestion: {question}\nAnswer transcript: {transcript}"
+  ],
+]);
+
+// Choose model by provider (see providers.js)
+const baseModel = await getModel(process.env.AI_PROVIDER);
+
+// Generated questions and interview drafts, persisted across restarts (AI_CACHE_FILE= disables the file)
+const generationCache = createCache({
+  maxEntries: Number(process.env.AI_CACHE_MAX_ENTRIES) || 500,
+  ttlMs: Number(process.env.AI_CACHE_TTL_MS) || 24 * 60 * 60 * 1000,
+  filePath: (process.env.AI_CACHE_FILE ?? ".cache/ai-cache.json") || null,
+});
+
+//Cache key for a generation request: provider, normalised role (or job ad) and options
+function cacheKeyFor(kind, text, { count, mix, style, avoid }) {
+  const normalise = (value) => value.trim().toLowerCase().replace(/\s+/g, " ");
+  return JSON.stringify([
+    process.env.AI_PROVIDER,
+    kind,
+    normalise(text),
+    count,
+    mix ?? null,
+    style,
+    avoid.map(normalise).sort(),
+  ]);
 }
 
-const baseModel = getModel();
+// Thrown when a model result fails the double-check, so it is reported (502) and never cached
+class ModelOutputError extends Error {
+  constructor(zodError) {
+    super("Model returned invalid schema");
+    this.details = zodError.flatten();
+  }
+}
 
 app.all("/api/generate-question", async (req, res) => {
   try {
-    const position =
-      req.method === "GET" ? req.query.position : req.body?.position;
+    const request = parseGenerationRequest(req);
+    if (!request.success) {
+      return sendInvalidRequest(res, request.error);
+    }
+    const options = request.data;
+
+    const result = await generationCache.getOrCreate(
+      cacheKeyFor("questions", options.position, options),
+      async () => {
+        // Ask the model to emit exactly the schema
+        const modelWithSchema = baseModel.withStructuredOutput(questionSchemaFor(options), {
+          name: "question",
+          strict: true,
+        });
+
+        const chain = prompt.pipe(modelWithSchema);
+        const output = await chain.invoke(promptInputFor(options));
+
+        // Defense-in-depth: validate again
+        const parsed = validatedQuestionSchemaFor(options).safeParse(output);
+        if (!parsed.success) {
+          throw new ModelOutputError(parsed.error);
+        }
+        return parsed.data;
+      }
+    );
+
+    // A cached result may have been generated for a differently written role
+    res.json({ ...result, position: options.position });
+  } catch (err) {
+  if (err instanceof ModelOutputError) {
+    return res.status(502).json({ error: err.message, details: err.details });
+  }
+  console.error("Error generating question:", err);
+  res.status(500).json({ error: err.message || "Failed to generate question" });
+}
 
-    if (!position || typeof position !== "string") {
-      return res.status(400).json({ error: "Position is required" });
+});
+
+/**
+ * Streaming variant of /api/generate-question, sent as Server-Sent Events:
+ * - `question` → { text, difficulty }, as soon as each question is complete and validated
+ * - `done` → { position, count } once every question has been sent
+ * - `error` → { error, details? } if generation fails part-way
+ * Generation stops when the client disconnects. Cached results are sent straight away.
+ */
+app.post("/api/generate-question/stream", async (req, res) => {
+  const request = parseGenerationRequest(req);
+  if (!request.success) {
+    return sendInvalidRequest(res, request.error);
+  }
+  const options = request.data;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const cacheKey = cacheKeyFor("questions", options.position, options);
+  const cached = generationCache.get(cacheKey);
+  if (cached) {
+    cached.questions.forEach((q) => send("question", q));
+    send("done", { position: options.position, count: cached.questions.length });
+    return res.end();
+  }
+
+  // Stop asking the model once the client has gone
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  let sent = 0;
+  // Send every question before index `upTo` that has not been sent yet
+  const sendComplete = (questions, upTo) => {
+    for (; sent < upTo; sent++) {
+      const item = QuestionItemSchema.safeParse(questions[sent]);
+      if (item.success) {
+        send("question", item.data);
+      }
     }
+  };
 
-    // Ask the model to emit exactly the schema
-    const modelWithSchema = baseModel.withStructuredOutput(QuestionSchema, {
+  try {
+    const modelWithSchema = baseModel.withStructuredOutput(questionSchemaFor(options), {
       name: "question",
       strict: true,
     });
 
     const chain = prompt.pipe(modelWithSchema);
-    const result = await chain.invoke({ position });
+    const stream = await chain.stream(promptInputFor(options), { signal: controller.signal });
+
+    // Each chunk is the object parsed so far; a question is complete once the next one has started
+    let latest = null;
+    for await (const partial of stream) {
+      latest = partial;
+      const questions = partial?.questions ?? [];
+      sendComplete(questions, questions.length - 1);
+    }
+
+    // Defense-in-depth: validate the whole result
+    const parsed = validatedQuestionSchemaFor(options).safeParse(latest);
+    if (!parsed.success) {
+      send("error", { error: "Model returned invalid schema", details: parsed.error.flatten() });
+    } else {
+      generationCache.set(cacheKey, parsed.data);
+      sendComplete(parsed.data.questions, parsed.data.questions.length);
+      send("done", { position: parsed.data.position, count: parsed.data.questions.length });
+    }
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error("Error streaming questions:", err);
+    send("error", { error: err.message || "Failed to generate question" });
+  }
+  res.end();
+});
+
+app.post("/api/draft-interview", async (req, res) => {
+  try {
+    const request = DraftRequestSchema.safeParse(req.body ?? {});
+    if (!request.success) {
+      return sendInvalidRequest(res, request.error);
+    }
+    const options = request.data;
+
+    const result = await generationCache.getOrCreate(
+      cacheKeyFor("draft", options.source, options),
+      async () => {
+        // Ask the model to emit exactly the schema
+        const modelWithSchema = baseModel.withStructuredOutput(draftSchemaFor(options), {
+          name: "interview_draft",
+          strict: true,
+        });
+
+        const chain = draftPrompt.pipe(modelWithSchema);
+        const output = await chain.invoke(promptInputFor(options));
+
+        // Defense-in-depth: validate again
+        const parsed = withMixCheck(draftSchemaFor(options), options).safeParse(output);
+        if (!parsed.success) {
+          throw new ModelOutputError(parsed.error);
+        }
+        return parsed.data;
+      }
+    );
+
+    res.json(result);
+  } catch (err) {
+    if (err instanceof ModelOutputError) {
+      return res.status(502).json({ error: err.message, details: err.details });
+    }
+    console.error("Error drafting interview:", err);
+    res.status(500).json({ error: err.message || "Failed to draft interview" });
+  }
+});
+
+app.post("/api/evaluate-answer", async (req, res) => {
+  try {
+    const input = EvaluationRequestSchema.safeParse(req.body);
+    if (!input.success) {
+      return res.status(400).json({
+        error: "Question, difficulty, position and transcript are required",
+        details: input.error.flatten(),
+      });
+    }
+
+    // Ask the model to emit exactly the schema
+    const modelWithSchema = baseModel.withStructuredOutput(AssessmentSchema, {
+      name: "assessment",
+      strict: true,
+    });
+
+    const chain = evaluationPrompt.pipe(modelWithSchema);
+    const result = await chain.invoke(input.data);
 
     // Defense-in-depth: validate again
-    const parsed = QuestionSchema.safeParse(result);
+    const parsed = AssessmentSchema.safeParse(result);
     if (!parsed.success) {
       return res.status(502).json({
         error: "Model returned invalid schema",
@@ -87,10 +515,9 @@ app.all("/api/generate-question", async (req, res) => {
 
     res.json(parsed.data);
   } catch (err) {
-  console.error("Error generating question:", err);
-  res.status(500).json({ error: err.message || "Failed to generate question" });
-}
-
+    console.error("Error evaluating answer:", err);
+    res.status(500).json({ error: err.message || "Failed to evaluate answer" });
+  }
 });
 
 const PORT = process.env.PORT || 3001;
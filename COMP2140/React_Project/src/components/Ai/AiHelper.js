@@ -1,49 +1,326 @@
 import { z } from "zod";
+import { DIFFICULTIES, rowSchemas } from "../../services/schemas";
+import { getToken } from "../../services/auth";
 
-//Schema for AI questions with difficulty
-const questionSchema = z.object({
-  position: z.string(),
-  questions: z
-    .array(
-      z.object({
-        text: z.string(),
-        difficulty: z.enum(["Easy", "Intermediate", "Advanced"]),
-      })
-    )
-    .length(5),
+export { DIFFICULTIES };
+export const QUESTION_STYLES = ["mixed", "technical", "behavioural", "situational"];
+export const MAX_AI_QUESTIONS = 10;
+
+//Schema for a single AI question with difficulty
+const questionItemSchema = z.object({
+  text: z.string(),
+  difficulty: z.enum(DIFFICULTIES),
 });
 
-const questionPromiseCache = new Map();
+//Number of questions a request asks for (a difficulty mix sets it)
+export function questionCountFor({ count, mix } = {}) {
+  return mix ? DIFFICULTIES.reduce((sum, d) => sum + mix[d], 0) : count ?? 5;
+}
+
+//Check generated questions against the requested difficulty mix (if any)
+function matchesMix(questions, mix) {
+  return (
+    !mix ||
+    DIFFICULTIES.every((d) => questions.filter((q) => q.difficulty === d).length === mix[d])
+  );
+}
+
+//Schema for AI questions with difficulty, matching the requested count and mix
+function questionSchemaFor(options = {}) {
+  return z
+    .object({
+      position: z.string(),
+      questions: z.array(questionItemSchema).length(questionCountFor(options)),
+    })
+    .refine((data) => matchesMix(data.questions, options.mix), {
+      message: "Questions do not match the requested difficulty mix",
+    });
+}
 
-//Fetch interview questions from backend
-async function fetchQuestions(position) {
-  const res = await fetch("http://localhost:3001/api/generate-question", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ position }),
+//Schema for an AI-drafted interview with its questions
+function draftSchemaFor(options = {}) {
+  return z
+    .object({
+      title: z.string(),
+      job_role: z.string(),
+      description: z.string(),
+      questions: z.array(questionItemSchema).length(questionCountFor(options)),
+    })
+    .refine((data) => matchesMix(data.questions, options.mix), {
+      message: "Questions do not match the requested difficulty mix",
     });
-    if (!res.ok) {
-        const msg = await res.text().catch(() => "");
-        throw new Error(msg || "Failed to generate questions");
+}
+
+//Schema for an AI assessment of an applicant's answer
+const assessmentSchema = z.object({
+  score: z.number().int().min(1).max(5),
+  strengths: z.array(z.string()),
+  gaps: z.array(z.string()),
+  confidence: z.number().min(0).max(1),
+});
+
+//Build an Error from a failed response
+//err.status is the HTTP status, and err.code the server's error code if it sent one;
+//on 429, err.retryAfter is the wait in seconds
+async function responseError(res, fallback) {
+  const msg = await res.text().catch(() => "");
+  let message = msg;
+  let code;
+  try {
+    const body = JSON.parse(msg);
+    message = body.error || msg;
+    code = body.code;
+  } catch {
+    // plain text body
+  }
+  const err = new Error(message || fallback);
+  err.status = res.status;
+  err.code = code;
+  if (res.status === 429) {
+    err.retryAfter = Number(res.headers.get("Retry-After")) || null;
+  }
+  return err;
+}
+
+//Parse one Server-Sent Event block into { event, data }
+function parseEvent(block) {
+  let event = "message";
+  const data = [];
+  block.split("\n").forEach((line) => {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).trim());
+  });
+  return { event, data: data.length ? JSON.parse(data.join("\n")) : null };
+}
+
+//Stream interview questions from backend, one at a time
+//options: { count, mix: { Easy, Intermediate, Advanced }, style, avoid: [topics] }, all optional
+//onQuestion is called with each { text, difficulty } as it arrives; abort with `signal` to cancel
+export async function streamQuestions(position, options = {}, { onQuestion, signal } = {}) {
+  const res = await fetch("http://localhost:3001/api/generate-question/stream", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ position, ...options }),
+    signal,
+  });
+  if (!res.ok) {
+    throw await responseError(res, "Failed to generate questions");
+  }
+
+  const questions = [];
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const { event, data } = parseEvent(buffer.slice(0, end));
+      buffer = buffer.slice(end + 2);
+
+      if (event === "question") {
+        const parsed = questionItemSchema.safeParse(data);
+        if (!parsed.success) {
+          throw new Error("Response did not match expected schema");
+        }
+        questions.push(parsed.data);
+        onQuestion?.(parsed.data);
+      } else if (event === "error") {
+        throw new Error(data?.error || "Failed to generate questions");
+      } else if (event === "done") {
+        const parsed = questionSchemaFor(options).safeParse({ position: data.position, questions });
+        if (!parsed.success) {
+          throw new Error("Response did not match expected schema");
+        }
+        return parsed.data;
+      }
     }
-    const data = await res.json();
-    const parsed = questionSchema.safeParse(data);
-    if (!parsed.success) {
-        throw new Error("Response did not match expected schema");
+  }
+  throw new Error("Question stream ended early");
+}
+
+//Draft a whole interview (title, job role, description and questions) from a job ad or title
+//options as for streamQuestions
+export async function draftInterview(source, options = {}) {
+  const res = await fetch("http://localhost:3001/api/draft-interview", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ source, ...options }),
+  });
+  if (!res.ok) {
+    throw await responseError(res, "Failed to draft interview");
+  }
+  const data = await res.json();
+  const parsed = draftSchemaFor(options).safeParse(data);
+  if (!parsed.success) {
+    throw new Error("Response did not match expected schema");
+  }
+  return parsed.data; // { title, job_role, description, questions: [{ text, difficulty }, ...] }
+}
+
+//Ask the backend to assess an applicant's answer to a question
+//Only signed-in interviewers can have answers assessed, so the request carries their JWT
+export async function evaluateAnswer({ question, difficulty, position, transcript }) {
+  const res = await fetch("http://localhost:3001/api/evaluate-answer", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+    body: JSON.stringify({ question, difficulty, position, transcript }),
+  });
+  if (!res.ok) {
+    throw await responseError(res, "Failed to evaluate answer");
+  }
+  const data = await res.json();
+  const parsed = assessmentSchema.safeParse(data);
+  if (!parsed.success) {
+    throw new Error("Response did not match expected schema");
+  }
+  return parsed.data; // { score, strengths: [...], gaps: [...], confidence }
+}
+
+//Schema for a stored answer recording
+const recordingSchema = z.object({
+  id: z.string(),
+  url: z.string().url(),
+});
+
+// Where the backend stores answer recordings
+const RECORDINGS_URL = "http://localhost:3001/api/recordings";
+
+//Upload the audio of a spoken answer; resolves with { id, url } of the stored recording
+//Applicants upload through their invitation (`token`); otherwise the request carries the interviewer's JWT
+export async function uploadRecording(blob, { token } = {}) {
+  const res = await fetch(
+    token ? `http://localhost:3001/api/invitations/${encodeURIComponent(token)}/recordings` : RECORDINGS_URL,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": blob.type || "audio/webm",
+        ...(!token && { Authorization: `Bearer ${getToken()}` }),
+      },
+      body: blob,
     }
-    return parsed.data;
+  );
+  if (!res.ok) {
+    throw await responseError(res, "Failed to upload recording");
+  }
+  const data = await res.json();
+  const parsed = recordingSchema.safeParse(data);
+  if (!parsed.success) {
+    throw new Error("Response did not match expected schema");
+  }
+  return parsed.data;
 }
 
-//Promise wrapper with caching
-export function getQuestionPromise(position) {
-  if (!questionPromiseCache.has(position)) {
-    questionPromiseCache.set(position, fetchQuestions(position));
+//Fetch a stored recording (an answer's `audio_url`) to play back; resolves with its audio Blob
+//Only signed-in interviewers can play recordings, so the request carries their JWT
+export async function getRecording(url) {
+  if (!url.startsWith(`${RECORDINGS_URL}/`)) {
+    throw new Error("Unknown recording"); // never send the JWT anywhere else
+  }
+  const res = await fetch(url, { headers: { Authorization: `Bearer ${getToken()}` } });
+  if (!res.ok) {
+    throw await responseError(res, "Failed to load recording");
+  }
+  return res.blob();
+}
+
+//Schema for a sent email, as logged on the applicant
+const sentEmailSchema = z.object({
+  type: z.enum(["invite", "reminder"]),
+  to: z.string(),
+  sent_at: z.string(),
+});
+
+//Email an applicant an invitation or reminder with their interview link; resolves with { type, to, sent_at }
+//Only signed-in interviewers can send emails, so the request carries their JWT
+export async function sendApplicantEmail(type, { applicant, interview, link }) {
+  const res = await fetch("http://localhost:3001/api/emails", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${getToken()}` },
+    body: JSON.stringify({
+      type,
+      to: applicant.email_address,
+      name: applicant.firstname,
+      interview_title: interview.title,
+      link,
+      expires_at: applicant.invite_expires_at,
+    }),
+  });
+  if (!res.ok) {
+    throw await responseError(res, "Failed to send email");
   }
-  return questionPromiseCache.get(position);
+  const data = await res.json();
+  const parsed = sentEmailSchema.safeParse(data);
+  if (!parsed.success) {
+    throw new Error("Response did not match expected schema");
+  }
+  return parsed.data;
+}
+
+//Schema for the applicant of an invitation (only their own details are sent)
+const invitationApplicantSchema = rowSchemas.applicant
+  .partial()
+  .required({ id: true, interview_id: true, interview_status: true });
+
+//Schema for an interview opened through an invitation link
+const invitationSchema = z.object({
+  applicant: invitationApplicantSchema,
+  interview: rowSchemas.interview,
+  questions: z.array(rowSchemas.question),
+  answers: z.array(rowSchemas.applicant_answer),
+});
+
+//Send a request about the interview an invite token was issued to; resolves with the checked response
+//Errors carry the server's message for the applicant, and err.status
+//(404 unknown link, 410 expired, 409 already completed or out of time, 403 interview not Published);
+//running out of time also sets err.code ("interview_time_up", or "question_time_up" for one answer)
+async function invitationRequest(token, path, schema, { method = "GET", body } = {}) {
+  const res = await fetch(`http://localhost:3001/api/invitations/${encodeURIComponent(token)}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body && JSON.stringify(body),
+  });
+  if (!res.ok) {
+    throw await responseError(res, "Failed to load interview");
+  }
+  const data = await res.json();
+  const parsed = schema.safeParse(data);
+  if (!parsed.success) {
+    throw new Error("Response did not match expected schema");
+  }
+  return parsed.data;
+}
+
+//Open an interview by invite token; resolves with { applicant, interview, questions, answers }
+export function getInvitation(token) {
+  return invitationRequest(token, "", invitationSchema);
+}
+
+//Record that a question was shown to the applicant; resolves with their answer row, stamped `started_at`
+//the first time (later calls return the row unchanged)
+export function startInvitationAnswer(token, questionId) {
+  return invitationRequest(token, `/answers/${encodeURIComponent(questionId)}/start`, rowSchemas.applicant_answer, {
+    method: "POST",
+  });
+}
+
+//Save an applicant's answer to a question ({ answer, time_spent_seconds?, audio_url? }); resolves with the answer row
+export function saveInvitationAnswer(token, questionId, fields) {
+  return invitationRequest(token, `/answers/${encodeURIComponent(questionId)}`, rowSchemas.applicant_answer, {
+    method: "PUT",
+    body: fields,
+  });
 }
 
-//Simpler helper (used directly in QuestionForm)
-export async function generateQuestions(position) {
-  const result = await fetchQuestions(position);
-  return result; // { position: "...", questions: [{ text, difficulty }, ...] }
+//Mark an applicant "In Progress" or "Completed"; resolves with the updated applicant
+export function updateInvitationStatus(token, interviewStatus) {
+  return invitationRequest(token, "/status", invitationApplicantSchema, {
+    method: "POST",
+    body: { interview_status: interviewStatus },
+  });
 }
@@ -0,0 +1,122 @@
+import { mkdirSync, readFileSync } from "node:fs";
+import { rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+// Wait this long after a change before writing the cache file (ms)
+const SAVE_DELAY = 1000;
+
+/**
+ * Create a bounded cache for AI results.
+ * - Entries expire `ttlMs` after they were stored
+ * - Once `maxEntries` is reached, the least recently used entry is dropped
+ * - With a `filePath`, entries are loaded from and saved to that JSON file, so they survive restarts
+ * - `getOrCreate` shares one in-flight request per key and never stores failures
+ *
+ * @param {object} [options]
+ * @param {number} [options.maxEntries=500] - Maximum number of entries kept.
+ * @param {number} [options.ttlMs=86400000] - Time to live of an entry (ms).
+ * @param {string|null} [options.filePath=null] - JSON file to persist entries to.
+ */
+export function createCache({ maxEntries = 500, ttlMs = 86400000, filePath = null } = {}) {
+  const entries = new Map(); // key → { value, expiresAt }, least recently used first
+  const inflight = new Map(); // key → Promise of a value being created
+  let saveTimer = null;
+
+  function isFresh(entry) {
+    return entry.expiresAt > Date.now();
+  }
+
+  // Load entries saved by a previous run, skipping any that have expired
+  if (filePath) {
+    try {
+      const saved = JSON.parse(readFileSync(filePath, "utf8"));
+      saved.slice(-maxEntries).forEach(([key, entry]) => {
+        if (isFresh(entry)) entries.set(key, entry);
+      });
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.error("Ignoring unreadable AI cache file:", err.message);
+      }
+    }
+  }
+
+  /**
+   * Write the entries to disk shortly after a change (several changes share one write).
+   * The file is replaced atomically, so a crash mid-write cannot corrupt it.
+   */
+  function scheduleSave() {
+    if (!filePath || saveTimer) return;
+    saveTimer = setTimeout(async () => {
+      saveTimer = null;
+      try {
+        mkdirSync(dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await writeFile(tmpPath, JSON.stringify([...entries]));
+        await rename(tmpPath, filePath);
+      } catch (err) {
+        console.error("Failed to save AI cache:", err.message);
+      }
+    }, SAVE_DELAY);
+    saveTimer.unref();
+  }
+
+  /**
+   * Get a cached value, or undefined if missing or expired.
+   */
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (!isFresh(entry)) {
+      entries.delete(key);
+      scheduleSave();
+      return undefined;
+    }
+    // Move to the most recently used end
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value, dropping the least recently used entries beyond `maxEntries`.
+   */
+  function set(key, value) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    scheduleSave();
+  }
+
+  function remove(key) {
+    if (entries.delete(key)) scheduleSave();
+  }
+
+  /**
+   * Get a cached value, or create it with `create()`.
+   * Concurrent calls for the same key share one `create()`; if it fails, nothing is cached.
+   *
+   * @param {string} key - The cache key.
+   * @param {() => Promise<any>} create - Produces the value on a cache miss.
+   * @returns {Promise<any>}
+   */
+  async function getOrCreate(key, create) {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+
+    if (!inflight.has(key)) {
+      const promise = Promise.resolve()
+        .then(create)
+        .then((value) => {
+          set(key, value);
+          return value;
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, promise);
+    }
+    return inflight.get(key);
+  }
+
+  return { get, set, remove, getOrCreate, size: () => entries.size };
+}
@@ -0,0 +1,113 @@
+import express from "express";
+import nodemailer from "nodemailer";
+import { z } from "zod";
+
+// Kinds of email the server sends to applicants
+export const EMAIL_TYPES = ["invite", "reminder"];
+
+//Schema for a request to email an applicant
+const EmailRequestSchema = z.object({
+  type: z.enum(EMAIL_TYPES),
+  to: z.string().trim().email(),
+  name: z.string().trim().min(1).max(200),
+  interview_title: z.string().trim().min(1).max(200),
+  link: z.string().url(),
+  expires_at: z.string().datetime({ offset: true }),
+});
+
+// Escape text for use in the HTML version of an email
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString("en-AU", { day: "numeric", month: "long", year: "numeric" });
+}
+
+// Email templates by type: subject and body lines (the link goes after the intro)
+const TEMPLATES = {
+  invite: ({ name, interview_title }) => ({
+    subject: `Your interview for ${interview_title}`,
+    intro: [
+      `Hi ${name},`,
+      `You're invited to complete your interview for ${interview_title}. You can answer by speaking or typing, and your progress is saved as you go.`,
+      "Start your interview here:",
+    ],
+  }),
+  reminder: ({ name, interview_title }) => ({
+    subject: `Reminder: your interview for ${interview_title}`,
+    intro: [
+      `Hi ${name},`,
+      `Just a reminder that your interview for ${interview_title} is still waiting for you. If you've already started, you'll pick up where you left off.`,
+      "Continue your interview here:",
+    ],
+  }),
+};
+
+/**
+ * Render an email to an applicant as plain text and HTML.
+ *
+ * @param {object} request - A valid email request (see EmailRequestSchema).
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderEmail(request) {
+  const { subject, intro } = TEMPLATES[request.type](request);
+  const outro = [
+    `This link is personal to you and expires on ${formatDate(request.expires_at)}.`,
+    "Good luck!\nThe hiring team",
+  ];
+
+  const text = [...intro, request.link, ...outro].join("\n\n");
+  const html = [
+    ...intro.map((line) => `<p>${escapeHtml(line)}</p>`),
+    `<p><a href="${escapeHtml(request.link)}">${escapeHtml(request.link)}</a></p>`,
+    ...outro.map((line) => `<p>${escapeHtml(line).replace("\n", "<br>")}</p>`),
+  ].join("\n");
+
+  return { subject, text, html };
+}
+
+/**
+ * Create the router sending templated invitation and reminder emails over SMTP.
+ * - POST / { type, to, name, interview_title, link, expires_at } → { type, to, sent_at, message_id }
+ * Only links into the app (`appOrigin`) are sent, so the server cannot be used to mail arbitrary links.
+ *
+ * @param {object} options
+ * @param {object} options.smtp - Nodemailer SMTP transport options (host, port, secure, auth).
+ * @param {string} options.from - Sender address.
+ * @param {string} options.appOrigin - Origin of the app the interview links point to.
+ * @returns {import("express").Router}
+ */
+export function createEmailRouter({ smtp, from, appOrigin }) {
+  const transport = nodemailer.createTransport(smtp);
+  const router = express.Router();
+
+  router.post("/", async (req, res) => {
+    const request = EmailRequestSchema.safeParse(req.body ?? {});
+    if (!request.success) {
+      return res.status(400).json({ error: "Invalid email request", details: request.error.flatten() });
+    }
+    if (new URL(request.data.link).origin !== appOrigin) {
+      return res.status(400).json({ error: "Interview links must point to the app" });
+    }
+
+    try {
+      const info = await transport.sendMail({
+        from,
+        to: request.data.to,
+        ...renderEmail(request.data),
+      });
+      res.json({
+        type: request.data.type,
+        to: request.data.to,
+        sent_at: new Date().toISOString(),
+        message_id: info.messageId,
+      });
+    } catch (err) {
+      console.error("Error sending email:", err);
+      res.status(502).json({ error: "Failed to send email" });
+    }
+  });
+
+  return router;
+}
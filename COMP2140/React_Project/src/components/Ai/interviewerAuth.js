@@ -0,0 +1,45 @@
+// How long a token the API accepted is trusted before it is checked again (ms)
+const TRUST_TTL = 60000;
+
+/**
+ * Create Express middleware letting only signed-in interviewers through.
+ * Requests need the interviewer's JWT as `Authorization: Bearer <token>`. The server has no key
+ * to check its signature with, so the token is checked with the Interview App API itself,
+ * which verifies it; accepted tokens are remembered for a minute. Others get 401.
+ *
+ * @param {object} options
+ * @param {string} options.apiUrl - Base URL of the Interview App RESTful API.
+ * @returns {import("express").RequestHandler}
+ */
+export function createInterviewerAuth({ apiUrl }) {
+  const trusted = new Map(); // token → time it stops being trusted
+
+  //Whether the API accepts a token
+  async function isValid(token) {
+    const now = Date.now();
+    if (trusted.get(token) > now) return true;
+    trusted.forEach((until, t) => {
+      if (until <= now) trusted.delete(t);
+    });
+
+    const res = await fetch(`${apiUrl}/interview?select=id&limit=1`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!res.ok) return false;
+    trusted.set(token, now + TRUST_TTL);
+    return true;
+  }
+
+  return async (req, res, next) => {
+    const [scheme, token] = (req.get("Authorization") || "").split(" ");
+    try {
+      if (scheme === "Bearer" && token && (await isValid(token))) {
+        return next();
+      }
+      res.status(401).json({ error: "Please sign in again." });
+    } catch (err) {
+      console.error("Error checking interviewer token:", err);
+      res.status(502).json({ error: "Could not check your sign-in. Please try again." });
+    }
+  };
+}
@@ -0,0 +1,265 @@
+import express from "express";
+import { z } from "zod";
+
+// Statuses an applicant moves through while taking their interview
+const APPLICANT_STATUSES = ["In Progress", "Completed"];
+
+//Schema for an answer saved by an applicant
+const AnswerRequestSchema = z.object({
+  answer: z.string().max(20000),
+  time_spent_seconds: z.number().int().min(0).optional(),
+  audio_url: z.string().url().optional(),
+});
+
+//Schema for an applicant moving their interview on
+const StatusRequestSchema = z.object({
+  interview_status: z.enum(APPLICANT_STATUSES),
+});
+
+// Columns an applicant gets back: their own details and answers, never reviews or other applicants
+const APPLICANT_FIELDS = [
+  "id", "interview_id", "title", "firstname", "surname", "email_address",
+  "interview_status", "invite_expires_at", "started_at", "completed_at",
+];
+const INTERVIEW_FIELDS = ["id", "title", "job_role", "description", "status", "time_limit_minutes"];
+const QUESTION_FIELDS = ["id", "interview_id", "question", "difficulty", "sort_order", "time_limit_seconds"];
+const ANSWER_FIELDS = [
+  "id", "applicant_id", "interview_id", "question_id", "answer", "audio_url", "time_spent_seconds", "started_at",
+];
+
+// Copy only the given columns of a row
+function pick(row, fields) {
+  return Object.fromEntries(fields.filter((f) => f in row).map((f) => [f, row[f]]));
+}
+
+// Leeway after a time limit runs out for the applicant's last save to arrive
+// (network delays, and differences between their clock and the server's)
+const TIME_LIMIT_GRACE_MS = 60000;
+
+//When a time limit of `seconds` that started at `startedAt` runs out (ms, with the grace period),
+//or null when there is no limit or it hasn't started
+function deadline(startedAt, seconds) {
+  return startedAt && seconds ? Date.parse(startedAt) + seconds * 1000 + TIME_LIMIT_GRACE_MS : null;
+}
+
+//When the applicant started their interview: when its first question was shown
+function interviewStartedAt({ applicant, answers }) {
+  const shown = answers.map((a) => Date.parse(a.started_at)).filter((t) => !Number.isNaN(t));
+  return shown.length ? new Date(Math.min(...shown)).toISOString() : applicant.started_at;
+}
+
+// A failed request, reported to the applicant as `status`, with a `code` for the client when it needs one
+class InvitationError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Create the router applicants take their interview through, using the invite token in their link.
+ * Applicants have no API credentials of their own, so the server resolves the invitation and
+ * reads and writes their interview for them, through the API functions in `db/invitations.sql`.
+ * Those work across interviewers (row-level security would limit an interviewer's JWT to their own
+ * applicants) but only ever reach the applicant the token was issued to:
+ * - GET  /:token                       → { applicant, interview, questions, answers }
+ * - POST /:token/answers/:questionId/start → the answer to a question, created (with no answer yet,
+ *                                            stamped `started_at`) the first time the question is shown
+ * - PUT  /:token/answers/:questionId   { answer, time_spent_seconds?, audio_url? } → the saved answer
+ *                                        (`audio_url` must be one of `recordings`' URLs)
+ * - POST /:token/recordings            raw audio → 201 { id, url } of the stored recording
+ * - POST /:token/status                { interview_status } → the updated applicant
+ * Unknown tokens get 404 and expired ones 410. Once the applicant has completed the interview, or its
+ * time limit has run out (code "interview_time_up"), their link is refused with 409, and while the
+ * interview isn't Published with 403, for reads and writes alike. An answer saved after its question's
+ * time limit ran out is refused with 409 too (code "question_time_up"). Time limits count from when the
+ * first question, or that question, was shown, and allow a minute's grace.
+ * Only the applicant's own interview, questions and answers are sent, without reviewer columns.
+ * Start times are the server's, so reloading the page does not restart a question's time limit.
+ *
+ * @param {object} options
+ * @param {string} options.apiUrl - Base URL of the Interview App RESTful API.
+ * @param {string} [options.apiToken] - JWT of the API's `invitation_service` role; without one every request gets 503.
+ * @param {ReturnType<import("./recordings.js").createRecordings>} options.recordings - Store of answer recordings.
+ * @returns {import("express").Router}
+ */
+export function createInvitationRouter({ apiUrl, apiToken, recordings }) {
+  const router = express.Router();
+
+  //Call one of the invitation functions of the Interview App API and return its result
+  async function rpc(name, args) {
+    const res = await fetch(`${apiUrl}/rpc/${name}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiToken}` },
+      body: JSON.stringify(args),
+    });
+    if (!res.ok) {
+      console.error(`Interview API function ${name} failed with ${res.status}`);
+      throw new InvitationError(502, "The interview could not be reached. Please try again.");
+    }
+    return res.json();
+  }
+
+  //Find the invitation an invite token was issued to ({ applicant, interview, questions, answers }),
+  //if the applicant may take their interview
+  async function openInvitation(token) {
+    const invitation = await rpc("invitation", { token });
+    if (!invitation) {
+      throw new InvitationError(404, "This interview link is not valid. Please check you copied the whole link.");
+    }
+    const { applicant, interview } = invitation;
+    if (!applicant.invite_expires_at || new Date(applicant.invite_expires_at).getTime() <= Date.now()) {
+      throw new InvitationError(410, "This interview link has expired. Please ask the interviewer for a new one.");
+    }
+    if (applicant.interview_status === "Completed") {
+      throw new InvitationError(409, "You have already submitted this interview. Thank you!");
+    }
+    if (!interview) {
+      throw new InvitationError(404, "This interview is no longer available.");
+    }
+    if (interview.status !== "Published") {
+      throw new InvitationError(403, "This interview is not open yet. Please check back later or contact the interviewer.");
+    }
+    const ends = deadline(interviewStartedAt(invitation), interview.time_limit_minutes * 60);
+    if (ends && Date.now() > ends) {
+      throw new InvitationError(
+        409,
+        "The time for this interview is up. The answers you saved before then have been kept.",
+        "interview_time_up"
+      );
+    }
+    return invitation;
+  }
+
+  //Take the single row a write function returned
+  function written([row]) {
+    if (!row) {
+      // The invitation closed between reading and writing it
+      throw new InvitationError(409, "This interview can no longer be changed.");
+    }
+    return row;
+  }
+
+  //Answer with the error a request failed with
+  function sendError(res, err) {
+    if (err instanceof InvitationError) {
+      return res.status(err.status).json({ error: err.message, ...(err.code && { code: err.code }) });
+    }
+    console.error("Error handling interview invitation:", err);
+    res.status(500).json({ error: "Something went wrong. Please try again." });
+  }
+
+  const notSetUp = (res) => res.status(503).json({ error: "Interview links are not set up on this server." });
+
+  //Run a route handler, answering with its result or the error it throws
+  const handle = (fn) => async (req, res) => {
+    if (!apiToken) {
+      return notSetUp(res);
+    }
+    try {
+      res.json(await fn(req));
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+
+  //Let a request through only while its invitation is open
+  const requireOpenInvitation = async (req, res, next) => {
+    if (!apiToken) {
+      return notSetUp(res);
+    }
+    try {
+      await openInvitation(req.params.token);
+      next();
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+
+  router.get("/:token", handle(async (req) => {
+    const { applicant, interview, questions, answers } = await openInvitation(req.params.token);
+    return {
+      applicant: pick(applicant, APPLICANT_FIELDS),
+      interview: pick(interview, INTERVIEW_FIELDS),
+      questions: questions.map((q) => pick(q, QUESTION_FIELDS)),
+      answers: answers.map((a) => pick(a, ANSWER_FIELDS)),
+    };
+  }));
+
+  //Find one of the invitation's questions and the applicant's latest answer to it (if any)
+  function findQuestion({ questions, answers }, questionId) {
+    // Only questions of the applicant's own interview can be answered
+    const question = questions.find((q) => String(q.id) === questionId);
+    if (!question) {
+      throw new InvitationError(404, "Question not found");
+    }
+    const existing = answers.filter((a) => a.question_id === question.id).pop() ?? null;
+    return { question, existing };
+  }
+
+  //Create the applicant's answer to a question
+  async function createAnswer(token, question, fields) {
+    return written(await rpc("create_invitation_answer", { token, question_id: question.id, fields }));
+  }
+
+  router.post("/:token/answers/:questionId/start", handle(async (req) => {
+    const { token, questionId } = req.params;
+    const { question, existing } = findQuestion(await openInvitation(token), questionId);
+    const row = existing ?? (await createAnswer(token, question, {
+      answer: null,
+      started_at: new Date().toISOString(),
+    }));
+    return pick(row, ANSWER_FIELDS);
+  }));
+
+  router.put("/:token/answers/:questionId", handle(async (req) => {
+    const request = AnswerRequestSchema.safeParse(req.body ?? {});
+    if (!request.success) {
+      throw new InvitationError(400, "Invalid answer");
+    }
+    // Reviewers open the recording, so it must be one the applicant uploaded here
+    if (request.data.audio_url && !recordings.isRecordingUrl(request.data.audio_url, req)) {
+      throw new InvitationError(400, "Invalid recording");
+    }
+    const { token, questionId } = req.params;
+    const { question, existing } = findQuestion(await openInvitation(token), questionId);
+    const ends = deadline(existing?.started_at, question.time_limit_seconds);
+    if (ends && Date.now() > ends) {
+      throw new InvitationError(409, "The time for this question ran out before your answer was saved.", "question_time_up");
+    }
+
+    const row = existing
+      ? written(await rpc("update_invitation_answer", { token, answer_id: existing.id, fields: request.data }))
+      // Not started yet (e.g. starting failed): its time limit counts from now
+      : await createAnswer(token, question, { started_at: new Date().toISOString(), ...request.data });
+    return pick(row, ANSWER_FIELDS);
+  }));
+
+  router.post("/:token/recordings", requireOpenInvitation, recordings.upload);
+
+  router.post("/:token/status", handle(async (req) => {
+    const request = StatusRequestSchema.safeParse(req.body ?? {});
+    if (!request.success) {
+      throw new InvitationError(400, "Invalid interview status");
+    }
+    const { token } = req.params;
+    const { applicant } = await openInvitation(token);
+    const { interview_status } = request.data;
+
+    // Statuses only move forward, and the times they were reached are the server's
+    if (applicant.interview_status === interview_status) {
+      return pick(applicant, APPLICANT_FIELDS);
+    }
+    const now = new Date().toISOString();
+    const updated = written(await rpc("update_invitation_applicant", {
+      token,
+      fields: interview_status === "Completed"
+        ? { interview_status, completed_at: now, ...(!applicant.started_at && { started_at: now }) }
+        : { interview_status, started_at: now },
+    }));
+    return pick(updated, APPLICANT_FIELDS);
+  }));
+
+  return router;
+}
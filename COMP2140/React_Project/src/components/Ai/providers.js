@@ -0,0 +1,216 @@
+import process from "node:process";
+import { Runnable } from "@langchain/core/runnables";
+import { ChatOpenAI } from "@langchain/openai";
+
+// Canned questions used by the mock provider, per difficulty
+const MOCK_QUESTIONS = {
+  Easy: [
+    "What drew you to the {position} role?",
+    "Walk us through a typical day in your last position.",
+    "Which of your skills do you use most as a {position}?",
+  ],
+  Intermediate: [
+    "Describe a challenging problem you solved as a {position} and how you approached it.",
+    "How do you prioritise when several urgent tasks land at once?",
+    "How would you handle a disagreement with a colleague about how to do a task?",
+  ],
+  Advanced: [
+    "Tell us about a decision you made as a {position} that you would make differently today, and why.",
+    "How would you improve the way a {position} team measures the quality of its work?",
+    "Describe how you would lead a {position} team through a major change.",
+  ],
+};
+
+// Difficulties used when no mix is requested, repeated as needed
+const MOCK_DEFAULT_PATTERN = ["Easy", "Easy", "Intermediate", "Intermediate", "Advanced"];
+
+/**
+ * Read a labelled field (e.g. `Position: ...`) from the formatted prompt.
+ * Returns the rest of the line, or everything up to the end with `toEnd`
+ * (for free text such as a transcript, which may itself contain `Label:` lines).
+ */
+function readField(promptValue, label, { toEnd = false } = {}) {
+  const text = promptValue.toChatMessages().map((m) => m.content).join("\n");
+  const match = text.match(new RegExp(`^${label}: (${toEnd ? "[\\s\\S]*" : ".*"})`, "m"));
+  return match ? match[1].trim() : "";
+}
+
+// Delay between streamed chunks of a mock response (ms), to mimic a slow model
+const MOCK_STREAM_DELAY = 300;
+
+/**
+ * Canned questions for the count and difficulty mix asked for in the prompt.
+ */
+function mockQuestions(promptValue, position) {
+  const count = Number(readField(promptValue, "Number of questions")) || 5;
+  const mix = readField(promptValue, "Difficulty mix"); // e.g. "2 Easy, 2 Intermediate, 1 Advanced" or "any"
+
+  const difficulties =
+    mix && mix !== "any"
+      ? mix.split(",").flatMap((part) => {
+          const [n, difficulty] = part.trim().split(" ");
+          return Array(Number(n)).fill(difficulty);
+        })
+      : Array.from({ length: count }, (_, i) => MOCK_DEFAULT_PATTERN[i % MOCK_DEFAULT_PATTERN.length])
+          .sort((a, b) => MOCK_DEFAULT_PATTERN.indexOf(a) - MOCK_DEFAULT_PATTERN.indexOf(b));
+
+  // Cycle through the canned questions of each difficulty
+  const used = { Easy: 0, Intermediate: 0, Advanced: 0 };
+  return difficulties.map((difficulty) => {
+    const texts = MOCK_QUESTIONS[difficulty];
+    const text = texts[used[difficulty]++ % texts.length];
+    return { text: text.replace("{position}", position), difficulty };
+  });
+}
+
+// Mock responses by structured output name
+const mockResponders = {
+  question: (promptValue) => {
+    const position = readField(promptValue, "Position");
+    return { position, questions: mockQuestions(promptValue, position) };
+  },
+  interview_draft: (promptValue) => {
+    // The first line of the job ad stands in for the role
+    const source = readField(promptValue, "Job ad", { toEnd: true });
+    const jobRole = source.split("\n")[0].trim().slice(0, 60);
+    return {
+      title: `${jobRole} Interview`,
+      job_role: jobRole,
+      description: `Interview for the ${jobRole} role.`,
+      questions: mockQuestions(promptValue, jobRole),
+    };
+  },
+  assessment: (promptValue) => {
+    const transcript = readField(promptValue, "Answer transcript", { toEnd: true });
+    const words = transcript.split(/\s+/).filter(Boolean).length;
+    // Longer answers score higher, so results are predictable in tests
+    const score = Math.min(5, 1 + Math.floor(words / 20));
+    return {
+      score,
+      strengths: score > 1 ? ["Answered the question"] : [],
+      gaps: score < 5 ? ["Could give more detail and examples"] : [],
+      confidence: 0.5,
+    };
+  },
+};
+
+/**
+ * Structured output of the mock model. `invoke` returns the whole response; `stream`
+ * yields it as a growing object, one array item at a time, like a streaming model would.
+ */
+class MockStructuredOutput extends Runnable {
+  lc_namespace = ["readysethire", "mock"];
+
+  constructor(schema, respond) {
+    super();
+    this.schema = schema;
+    this.respond = respond;
+  }
+
+  async invoke(input) {
+    return this.schema.parse(this.respond(input));
+  }
+
+  async *_streamIterator(input, options) {
+    const result = await this.invoke(input);
+    const listKey = Object.keys(result).find((key) => Array.isArray(result[key]));
+
+    if (listKey) {
+      for (let i = 1; i < result[listKey].length; i++) {
+        options?.signal?.throwIfAborted();
+        yield { ...result, [listKey]: result[listKey].slice(0, i) };
+        await new Promise((resolve) => setTimeout(resolve, MOCK_STREAM_DELAY));
+      }
+    }
+    yield result;
+  }
+}
+
+/**
+ * Deterministic stand-in for a chat model. It needs no API key or network access and
+ * returns canned, schema-valid results for every structured output the server asks for.
+ */
+function createMockModel() {
+  return {
+    withStructuredOutput(schema, { name } = {}) {
+      const respond = mockResponders[name];
+      if (!respond) {
+        throw new Error(`Mock provider has no response for "${name}"`);
+      }
+      return new MockStructuredOutput(schema, respond);
+    },
+  };
+}
+
+/**
+ * Load an optional LangChain integration package, with a helpful error when it is missing.
+ */
+async function importProvider(pkg, provider) {
+  try {
+    return await import(pkg);
+  } catch {
+    throw new Error(`AI_PROVIDER=${provider} needs the ${pkg} package (npm install ${pkg})`);
+  }
+}
+
+/**
+ * Chat model factories by `AI_PROVIDER` value.
+ * Each one reads its own settings from the environment.
+ */
+export const providers = {
+  // Uses OPENAI_API_KEY
+  openai: async () =>
+    new ChatOpenAI({
+      model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+      temperature: 0.7,
+    }),
+
+  // Any OpenAI-compatible local model server (Ollama, LM Studio, vLLM, llama.cpp)
+  local: async () =>
+    new ChatOpenAI({
+      model: process.env.LOCAL_AI_MODEL || "llama3.1",
+      temperature: 0.7,
+      apiKey: process.env.LOCAL_AI_API_KEY || "not-needed",
+      configuration: {
+        baseURL: process.env.LOCAL_AI_BASE_URL || "http://localhost:11434/v1",
+      },
+    }),
+
+  // Uses ANTHROPIC_API_KEY
+  anthropic: async () => {
+    const { ChatAnthropic } = await importProvider("@langchain/anthropic", "anthropic");
+    return new ChatAnthropic({
+      model: process.env.ANTHROPIC_MODEL || "claude-3-5-haiku-latest",
+      temperature: 0.7,
+    });
+  },
+
+  // Native Ollama integration
+  ollama: async () => {
+    const { ChatOllama } = await importProvider("@langchain/ollama", "ollama");
+    return new ChatOllama({
+      model: process.env.OLLAMA_MODEL || "llama3.1",
+      baseUrl: process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+      temperature: 0.7,
+    });
+  },
+
+  // Offline, deterministic responses
+  mock: async () => createMockModel(),
+};
+
+/**
+ * Create the chat model for a provider.
+ *
+ * @param {string} provider - One of the keys of `providers`.
+ * @throws Will throw an error if the provider is unknown or its package is not installed.
+ */
+export async function getModel(provider) {
+  const create = providers[provider];
+  if (!create) {
+    throw new Error(
+      `Unsupported AI provider: ${provider} (expected one of ${Object.keys(providers).join(", ")})`
+    );
+  }
+  return create();
+}
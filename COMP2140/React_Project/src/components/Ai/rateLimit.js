@@ -0,0 +1,56 @@
+// How often idle clients are forgotten (ms)
+const SWEEP_INTERVAL = 60000;
+
+/**
+ * Create per-client token-bucket rate limiting middleware for Express.
+ * Each client (by IP) gets a bucket of `capacity` tokens that refills at `refillPerMinute`;
+ * every request takes one token. An empty bucket gets 429 with a Retry-After header
+ * (seconds until the next token).
+ *
+ * @param {object} [options]
+ * @param {number} [options.capacity=10] - Largest burst of requests allowed.
+ * @param {number} [options.refillPerMinute=10] - Sustained requests allowed per minute.
+ * @param {string} [options.label="AI"] - What is being limited, for the 429 error message.
+ * @returns {import("express").RequestHandler}
+ */
+export function createRateLimiter({ capacity = 10, refillPerMinute = 10, label = "AI" } = {}) {
+  const buckets = new Map(); // client → { tokens, updatedAt }
+  const refillPerMs = refillPerMinute / 60000;
+
+  // Top a bucket up for the time passed since it was last used
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  // Full buckets behave like new ones, so they can be dropped to bound memory
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, client) => {
+      refill(bucket, now);
+      if (bucket.tokens >= capacity) buckets.delete(client);
+    });
+  }, SWEEP_INTERVAL);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const client = req.ip;
+    const bucket = buckets.get(client) ?? { tokens: capacity, updatedAt: now };
+    buckets.set(client, bucket);
+    refill(bucket, now);
+
+    if (bucket.tokens < 1) {
+      const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        error: `Too many ${label} requests. Try again in ${retryAfter} seconds.`,
+        retryAfter,
+      });
+    }
+
+    bucket.tokens -= 1;
+    res.set("X-RateLimit-Remaining", String(Math.floor(bucket.tokens)));
+    next();
+  };
+}
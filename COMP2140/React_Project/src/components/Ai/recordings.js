@@ -0,0 +1,84 @@
+import express from "express";
+import { Buffer } from "node:buffer";
+import { randomUUID } from "node:crypto";
+import { mkdir, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+
+// Accepted recording formats → file extension
+const EXTENSIONS = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mp4": "m4a",
+  "audio/mpeg": "mp3",
+  "audio/wav": "wav",
+};
+
+// Stored file names: a random id plus a known extension (never a client-supplied path)
+const FILE_NAME = /^[0-9a-f-]{36}\.(webm|ogg|m4a|mp3|wav)$/;
+
+/**
+ * Create the store of applicants' answer recordings, kept on local disk.
+ * - `router`: POST / → body is the raw audio; responds 201 { id, url }
+ *             GET  /:id → plays a stored recording
+ *   mount it behind a check of who may upload and listen
+ * - `upload`: the POST handler on its own, for routes that check the uploader another way
+ *   (e.g. an applicant's invitation link)
+ * - `isRecordingUrl(url, req)`: whether a URL is one of this store's recordings
+ * The returned `url` is what gets saved as an applicant_answer's `audio_url`.
+ *
+ * @param {object} options
+ * @param {string} options.dir - Directory the recordings are stored in (created if missing).
+ * @param {string} options.path - Path the router is mounted at, e.g. "/api/recordings".
+ * @param {string} [options.maxSize="25mb"] - Largest recording accepted.
+ * @returns {{ router: import("express").Router, upload: Array<import("express").RequestHandler>,
+ *   isRecordingUrl: (url: string, req: import("express").Request) => boolean }}
+ */
+export function createRecordings({ dir, path, maxSize = "25mb" }) {
+  const root = resolve(dir);
+  const router = express.Router();
+
+  //Where this server plays recordings from, as seen by the client making a request
+  const baseUrl = (req) => `${req.protocol}://${req.get("host")}${path}/`;
+
+  const upload = [express.raw({ type: "audio/*", limit: maxSize }), async (req, res) => {
+    try {
+      const type = (req.get("Content-Type") || "").split(";")[0].trim();
+      const extension = EXTENSIONS[type];
+      if (!extension) {
+        return res.status(415).json({ error: `Unsupported audio type: ${type || "none"}` });
+      }
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: "Recording is empty" });
+      }
+
+      const id = `${randomUUID()}.${extension}`;
+      await mkdir(root, { recursive: true });
+      await writeFile(resolve(root, id), req.body);
+
+      res.status(201).json({ id, url: `${baseUrl(req)}${id}` });
+    } catch (err) {
+      console.error("Error saving recording:", err);
+      res.status(500).json({ error: "Failed to save recording" });
+    }
+  }];
+
+  router.post("/", upload);
+
+  router.get("/:id", (req, res) => {
+    if (!FILE_NAME.test(req.params.id)) {
+      return res.status(404).json({ error: "Recording not found" });
+    }
+    res.sendFile(req.params.id, { root }, (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: "Recording not found" });
+      }
+    });
+  });
+
+  function isRecordingUrl(url, req) {
+    const base = baseUrl(req);
+    return url.startsWith(base) && FILE_NAME.test(url.slice(base.length));
+  }
+
+  return { router, upload, isRecordingUrl };
+}
@@ -1,88 +1,145 @@
 import { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
 import { motion } from "framer-motion";
 import toast from "react-hot-toast";
 import {
-  getInterview,
-  getApplicants,
+  query,
   deleteApplicant,
   createApplicant,
   updateApplicant,
 } from "../../services/api";
+import {
+  useCollection,
+  useInterviews,
+  saveEntities,
+  removeEntity,
+} from "../../services/store";
+import { createInvite, isInviteExpired, inviteLink } from "../../services/invites";
+import { sendApplicantEmail } from "../Ai/AiHelper";
+import { exportApplicantPdf } from "../../services/exports";
 import ApplicantForm from "./ApplicantForm"; 
+import ApplicantImport from "./ApplicantImport";
 import TakeInterview from "../TakeInterview/TakeInterview";
 
+// Number of applicants fetched per page
+const PAGE_SIZE = 12;
+
+// How sent emails are described in an applicant's email log
+const EMAIL_LABELS = { invite: "Invitation", reminder: "Reminder" };
+
+/**
+ * Build the applicant query for an interview filter.
+ * @param filter - "All", "Others" (interview no longer exists) or an interview id
+ * @param interviewIds - ids of every known interview, used by "Others"
+*/
+function applicantQuery(filter, interviewIds) {
+  const q = query("applicant").order("id");
+  if (filter === "Others") return q.notIn("interview_id", interviewIds);
+  if (filter !== "All") return q.eq("interview_id", filter);
+  return q;
+}
+
 /**
  * ApplicantCard Component
  *
  * Displays all applicants and provides functionality to:
- * - Fetch applicants and their associated interview details
- * - Filter applicants by interview
+ * - Fetch applicants a page at a time, filtered by interview on the server
+ * - Read interviews from the shared store (cached across screens)
  * - Add, edit, and delete applicants
- * - Copy a unique interview link to clipboard
+ * - Import many applicants at once from a CSV or XLSX file
+ * - Export an applicant's interview as a printable PDF report
+ * - Open the review workspace for an applicant's answers
+ * - Copy the applicant's invitation link (an unguessable, expiring token) to clipboard,
+ *   issuing a new invitation when the old one has expired
+ * - Email the invitation (or a reminder) to the applicant, and show a log of the emails sent
  * - Start the interview process for a selected applicant
  *
  * State:
- * - loading: whether data is being fetched
- * - applicants: list of applicant objects
- * - interviews: map of interviews by id
  * - formOpen: toggle for applicant modal form
  * - editingApplicant: currently edited applicant
  * - filter: current filter value
  * - selectedApplicant: applicant currently taking interview
 */
 const ApplicantCard = () => {
-  const [loading, setLoading] = useState(true);
-  const [applicants, setApplicants] = useState([]);
-  const [interviews, setInterviews] = useState({});
   const [formOpen, setFormOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
   const [editingApplicant, setEditingApplicant] = useState(null);
   const [filter, setFilter] = useState("All");
   const [selectedApplicant, setSelectedApplicant] = useState(null); // ✅ NEW
+  const [sendingEmail, setSendingEmail] = useState(null); // "<applicant id>:<type>" being sent
+  const [exportingId, setExportingId] = useState(null); // applicant whose report is being exported
+  const navigate = useNavigate();
+
+  // Every interview, mapped by id for fast lookup
+  const { rows: interviewRows, error: interviewError } = useInterviews();
+  const interviews = {};
+  interviewRows.forEach((i) => {
+    interviews[i.id] = i;
+  });
+
+  // "Others" needs every known interview id; other filters don't depend on them
+  const otherIds = filter === "Others" ? Object.keys(interviews).join(",") : "";
+
+  // The applicants matching the filter, a page at a time
+  const {
+    rows: applicants,
+    total,
+    loading,
+    error,
+    hasMore,
+    loadingMore,
+    loadMore,
+  } = useCollection(
+    `applicant:${filter}:${otherIds}`,
+    "applicant",
+    () => applicantQuery(filter, otherIds ? otherIds.split(",") : []),
+    { pageSize: PAGE_SIZE }
+  );
 
-  /**
-   * Fetch all applicants and their associated interviews.
-   * Builds a map of interview_id → interview object for fast lookup.
-  */
   useEffect(() => {
-    getApplicants()
-      .then(async (aData) => {
-        setApplicants(aData);
-
-        // Fetch interview titles for each unique interview_id
-        const uniqueIds = [...new Set(aData.map((a) => a.interview_id))];
-        const interviewMap = {};
-
-        for (const id of uniqueIds) {
-          try {
-            const data = await getInterview(id);
-            interviewMap[id] = data[0];
-          } catch {
-            toast.error(`Failed to load interview ${id}`);
-          }
-        }
-
-        setInterviews(interviewMap);
-        setLoading(false);
-      })
-      .catch(() => {
-        toast.error("Failed to load applicants");
-        setLoading(false);
-      });
-  }, []);
+    if (interviewError) toast.error("Failed to load interviews");
+  }, [interviewError]);
+
+  useEffect(() => {
+    if (error) toast.error("Failed to load applicants");
+  }, [error]);
 
   /**
-  * Delete an applicant and update state.
+  * Delete an applicant and drop it from the shared store.
   */
   const handleDelete = async (id) => {
     try {
       await deleteApplicant(id);
-      setApplicants((prev) => prev.filter((i) => i.id !== id));
+      removeEntity("applicant", id);
       toast.success("Applicant deleted successfully");
     } catch {
       toast.error("Error deleting applicant");
     }
   };
 
+  /**
+  * Download an applicant's interview report as a PDF.
+  */
+  const handleExportPdf = async (applicant) => {
+    setExportingId(applicant.id);
+    try {
+      await exportApplicantPdf(applicant);
+    } catch (err) {
+      console.error("Export failed", err);
+      toast.error("Export failed");
+    } finally {
+      setExportingId(null);
+    }
+  };
+
+  /**
+  * Store imported applicants; the lists refetch to include them.
+  */
+  const handleImported = (created) => {
+    saveEntities("applicant", created);
+    setImportOpen(false);
+  };
+
   /**
   * Open modal to edit a given applicant.
   */
@@ -94,29 +151,24 @@ const ApplicantCard = () => {
   /**
   * Save a new or updated applicant.
   * - If editing, updates existing record
-  * - If creating, adds new applicant and ensures interview is loaded
+  * - If creating, adds new applicant to the current list if it matches the filter
   */
   const handleSave = async (data) => {
     try {
       if (editingApplicant) {
         const updated = await updateApplicant(editingApplicant.id, data);
-        setApplicants((prev) =>
-          prev.map((i) => (i.id === editingApplicant.id ? updated[0] : i))
-        );
+        saveEntities("applicant", updated);
         toast.success("Applicant updated");
       } else {
-        const created = await createApplicant(data);
+        const created = await createApplicant({ ...data, ...createInvite() });
         const newApplicant = created[0];
-        setApplicants((prev) => [...prev, newApplicant]);
 
-        // fetch interview if missing
-        if (!interviews[newApplicant.interview_id]) {
-          const data = await getInterview(newApplicant.interview_id);
-          setInterviews((prev) => ({
-            ...prev,
-            [newApplicant.interview_id]: data[0],
-          }));
-        }
+        // only show it straight away if it belongs to the current filter
+        const matchesFilter =
+          filter === "All" || String(newApplicant.interview_id) === filter;
+        saveEntities("applicant", created, {
+          appendTo: matchesFilter ? [`applicant:${filter}:${otherIds}`] : [],
+        });
 
         toast.success("Applicant created");
       }
@@ -141,14 +193,6 @@ const ApplicantCard = () => {
     show: { opacity: 1, y: 0, transition: { duration: 0.6, ease: "easeOut" } },
   };
 
-  if (loading) {
-    return (
-      <p className="text-gray-500 text-center mt-8 animate-pulse">
-        Loading applicants...
-      </p>
-    );
-  }
-
   // If an applicant is selected → show TakeInterview instead of list
   if (selectedApplicant) {
     return (
@@ -159,23 +203,81 @@ const ApplicantCard = () => {
     );
   }
 
-  //Apply filter by interview
-  const filteredApplicants = applicants.filter((a) => {
-    const interview = interviews[a.interview_id];
-    if (filter === "All") return true;
-    if (filter === "Others") return !interview;
-    return interview && interview.title === filter;
-  });
+  /**
+  * Make sure the applicant has a usable invitation,
+  * issuing (and saving) a new one if there is none or it has expired.
+  * @returns The applicant, with a valid `invite_token`
+  */
+  const ensureInvite = async (applicant) => {
+    if (!isInviteExpired(applicant)) return applicant;
+    const updated = await updateApplicant(applicant.id, createInvite());
+    saveEntities("applicant", updated);
+    return updated[0];
+  };
+
+  /**
+  * Record when the applicant was first sent their link, for the analytics.
+  * @returns The applicant, with `invited_at` set
+  */
+  const markInvited = async (applicant) => {
+    if (applicant.invited_at) return applicant;
+    const updated = await updateApplicant(applicant.id, { invited_at: new Date().toISOString() });
+    saveEntities("applicant", updated);
+    return updated[0];
+  };
+
+  /**
+  * Copy the applicant's interview link to clipboard.
+  * Copying it (to send on) counts as inviting the applicant.
+  */
+  const handleCopyLink = async (applicant) => {
+    try {
+      const current = await ensureInvite(applicant);
+      await navigator.clipboard.writeText(inviteLink(current.invite_token));
+      toast.success("Interview link copied!");
+      await markInvited(current).catch((err) => console.error("Recording the invitation failed", err));
+    } catch {
+      toast.error("Failed to copy link");
+    }
+  };
 
   /**
-  * Generate and copy unique interview link for applicant.
-  * Uses current domain + applicant id.
+  * Email the applicant their interview link, as an invitation or a reminder,
+  * and add it to the applicant's email log (the first email also records when they were invited).
+  * @param applicant - The applicant to email
+  * @param type - "invite" or "reminder"
   */
-  const handleCopyLink = (id) => {
-  const link = `${window.location.origin}/interview/${id}`;
-  navigator.clipboard.writeText(link)
-    .then(() => toast.success("Interview link copied!"))
-    .catch(() => toast.error("Failed to copy link"));
+  const handleSendEmail = async (applicant, type) => {
+    const interview = interviews[applicant.interview_id];
+    if (!interview) {
+      toast.error("This applicant's interview no longer exists");
+      return;
+    }
+
+    setSendingEmail(`${applicant.id}:${type}`);
+    try {
+      const current = await ensureInvite(applicant);
+      const sent = await sendApplicantEmail(type, {
+        applicant: current,
+        interview,
+        link: inviteLink(current.invite_token),
+      });
+      try {
+        const updated = await updateApplicant(applicant.id, {
+          email_log: [...(current.email_log || []), sent],
+          ...(!current.invited_at && { invited_at: sent.sent_at }),
+        });
+        saveEntities("applicant", updated);
+        toast.success(`${EMAIL_LABELS[type]} sent to ${sent.to}`);
+      } catch {
+        toast.error(`${EMAIL_LABELS[type]} sent, but it could not be added to the email log`);
+      }
+    } catch (err) {
+      console.error("Sending email failed", err);
+      toast.error(`Failed to send ${EMAIL_LABELS[type].toLowerCase()}`);
+    } finally {
+      setSendingEmail(null);
+    }
   };
 
 
@@ -197,25 +299,37 @@ const ApplicantCard = () => {
           >
             <option value="All">All</option>
             {Object.values(interviews).map((i) => (
-              <option key={i.id} value={i.title}>
+              <option key={i.id} value={i.id}>
                 {i.title}
               </option>
             ))}
             <option value="Others">Others</option>
           </select>
         </div>
-        <button
-          onClick={() => {
-            setEditingApplicant(null);
-            setFormOpen(true);
-          }}
-          className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 cursor-pointer"
-        >
-          Add Applicant
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setImportOpen(true)}
+            className="px-6 py-3 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 cursor-pointer"
+          >
+            Import
+          </button>
+          <button
+            onClick={() => {
+              setEditingApplicant(null);
+              setFormOpen(true);
+            }}
+            className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 cursor-pointer"
+          >
+            Add Applicant
+          </button>
+        </div>
       </motion.div>
 
-      {filteredApplicants.length === 0 ? (
+      {loading ? (
+        <p className="text-gray-500 text-center mt-8 animate-pulse">
+          Loading applicants...
+        </p>
+      ) : applicants.length === 0 ? (
         <p className="text-gray-500">No applicants match your filter.</p>
       ) : (
         <motion.div
@@ -224,7 +338,7 @@ const ApplicantCard = () => {
           animate="show"
           className="grid gap-6 md:grid-cols-2 lg:grid-cols-3"
         >
-          {filteredApplicants.map((a) => {
+          {applicants.map((a) => {
             const interview = interviews[a.interview_id];
             return (
               <motion.div
@@ -245,11 +359,36 @@ const ApplicantCard = () => {
                 <p className="text-sm text-gray-600">
                   Status: {a.interview_status}
                 </p>
+                {a.recommendation && (
+                  <p className="text-sm text-gray-600">
+                    Recommendation: {a.recommendation}
+                  </p>
+                )}
                 <p className="text-sm text-indigo-600 mt-2">
                   Interview: {interview ? interview.title : "Unknown"}
                 </p>
+                {a.email_log?.length > 0 && (
+                  <details className="text-xs text-gray-500 mt-1">
+                    <summary className="cursor-pointer">Emails sent ({a.email_log.length})</summary>
+                    <ul className="mt-1 space-y-0.5">
+                      {[...a.email_log].reverse().map((email) => (
+                        <li key={email.sent_at}>
+                          {EMAIL_LABELS[email.type]} to {email.to} ·{" "}
+                          {new Date(email.sent_at).toLocaleString()}
+                        </li>
+                      ))}
+                    </ul>
+                  </details>
+                )}
+                {a.invite_expires_at && a.interview_status !== "Completed" && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {isInviteExpired(a)
+                      ? "Invitation expired (copying the link issues a new one)"
+                      : `Invitation expires ${new Date(a.invite_expires_at).toLocaleDateString()}`}
+                  </p>
+                )}
 
-                <div className="mt-4 flex gap-2">
+                <div className="mt-4 flex flex-wrap gap-2">
                   <button
                     onClick={() => handleEditClick(a)}
                     className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 cursor-pointer"
@@ -264,18 +403,53 @@ const ApplicantCard = () => {
                   </button>
 
                   <button
-                      onClick={() => handleCopyLink(a.id)}
+                      onClick={() => handleCopyLink(a)}
                       className="px-3 py-1 text-sm bg-purple-500 text-white rounded hover:bg-purple-600 cursor-pointer"
                     >
                       Copy Link
                   </button>
 
+                  {a.interview_status !== "Completed" && (
+                    <button
+                      onClick={() => handleSendEmail(a, "invite")}
+                      disabled={sendingEmail !== null}
+                      className="px-3 py-1 text-sm bg-teal-500 text-white rounded hover:bg-teal-600 cursor-pointer disabled:opacity-50"
+                    >
+                      {sendingEmail === `${a.id}:invite` ? "Sending..." : "Send invite"}
+                    </button>
+                  )}
+
+                  {a.interview_status !== "Completed" && a.email_log?.some((e) => e.type === "invite") && (
+                    <button
+                      onClick={() => handleSendEmail(a, "reminder")}
+                      disabled={sendingEmail !== null}
+                      className="px-3 py-1 text-sm bg-amber-500 text-white rounded hover:bg-amber-600 cursor-pointer disabled:opacity-50"
+                    >
+                      {sendingEmail === `${a.id}:reminder` ? "Sending..." : "Send reminder"}
+                    </button>
+                  )}
+
                   <button
                     onClick={() => setSelectedApplicant(a)} // open interview
                     className="px-3 py-1 text-sm bg-green-500 text-white rounded hover:bg-green-600 cursor-pointer"
                   >
                     Take Interview
                   </button>
+
+                  <button
+                    onClick={() => navigate(`/Applicants/${a.id}/review`)}
+                    className="px-3 py-1 text-sm bg-indigo-500 text-white rounded hover:bg-indigo-600 cursor-pointer"
+                  >
+                    Review
+                  </button>
+
+                  <button
+                    onClick={() => handleExportPdf(a)}
+                    disabled={exportingId !== null}
+                    className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200 cursor-pointer disabled:opacity-50"
+                  >
+                    {exportingId === a.id ? "Exporting..." : "Export PDF"}
+                  </button>
                 </div>
               </motion.div>
             );
@@ -283,6 +457,24 @@ const ApplicantCard = () => {
         </motion.div>
       )}
 
+      {/* Pagination */}
+      {applicants.length > 0 && (
+        <div className="flex flex-col items-center gap-3 mt-8">
+          <p className="text-sm text-gray-500">
+            Showing {applicants.length} of {total} applicants
+          </p>
+          {hasMore && (
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="px-4 py-2 bg-gray-100 rounded hover:bg-gray-200 cursor-pointer"
+            >
+              {loadingMore ? "Loading..." : "Load more"}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Shared Add/Edit Applicant Form Modal */}
       <ApplicantForm
         isOpen={formOpen}
@@ -293,6 +485,13 @@ const ApplicantCard = () => {
         onSave={handleSave}
         initialData={editingApplicant}
       />
+
+      {/* Import Applicants Wizard */}
+      <ApplicantImport
+        isOpen={importOpen}
+        onClose={() => setImportOpen(false)}
+        onImported={handleImported}
+      />
     </div>
   );
 };
@@ -1,5 +1,11 @@
 import { useState, useEffect } from "react";
-import { getInterviews } from "../../services/api";
+import { useInterviews } from "../../services/store";
+import {
+  applicantInputSchema,
+  validateForm,
+  APPLICANT_TITLES,
+  APPLICANT_STATUSES,
+} from "../../services/schemas";
 
 /**
  * ApplicantForm Component
@@ -9,6 +15,7 @@ import { getInterviews } from "../../services/api";
  * - Select an interview
  * - Enter applicant details (title, name, phone, email)
  * - Set the applicant's interview status
+ * - Checks the fields (e.g. email and phone formats) and shows an error under each invalid one
  *
  * Props:
  * - isOpen (boolean): Controls modal visibility
@@ -28,8 +35,10 @@ export default function ApplicantForm({ isOpen, onClose, onSave, initialData })
     interview_status: "Not Started",
   });
 
-  // List of available interviews for dropdown
-  const [interviews, setInterviews] = useState([]);
+  const [errors, setErrors] = useState({}); // field name → error message
+
+  // List of available interviews for dropdown, shared with the list screens
+  const { rows: interviews, error } = useInterviews();
 
   /**
    * Populate form if editing an existing applicant
@@ -38,14 +47,12 @@ export default function ApplicantForm({ isOpen, onClose, onSave, initialData })
     if (initialData) {
       setFormData(initialData);
     }
+    setErrors({});
   }, [initialData]);
 
-  // Fetch interviews for dropdown
   useEffect(() => {
-    getInterviews()
-      .then(setInterviews)
-      .catch(() => console.error("Failed to load Interviews"));
-  }, []);
+    if (error) console.error("Failed to load Interviews");
+  }, [error]);
 
   if (!isOpen) return null;
 
@@ -55,14 +62,20 @@ export default function ApplicantForm({ isOpen, onClose, onSave, initialData })
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
   };
 
   /**
-   * Submit form → calls onSave with current formData
+   * Submit form → validates, then calls onSave with the cleaned (trimmed) data
   */
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSave(formData);
+    const { data, errors: fieldErrors } = validateForm(applicantInputSchema, formData);
+    if (!data) {
+      setErrors(fieldErrors);
+      return;
+    }
+    onSave(data);
   };
 
   return (
@@ -72,80 +85,97 @@ export default function ApplicantForm({ isOpen, onClose, onSave, initialData })
           {initialData ? "Edit Applicant" : "Add Applicant"}
         </h2>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
+        <form onSubmit={handleSubmit} noValidate className="space-y-4">
           {/* Title Dropdown */}
-          <select
-            name="title"
-            value={formData.title}
-            onChange={handleChange}
-            required
-            className="w-full border rounded px-3 py-2"
-          >
-            <option value="Mr">Mr</option>
-            <option value="Mrs">Mrs</option>
-            <option value="Miss">Miss</option>
-            <option value="Other">Other</option>
-          </select>
+          <div>
+            <select
+              name="title"
+              value={formData.title}
+              onChange={handleChange}
+              required
+              className="w-full border rounded px-3 py-2"
+            >
+              {APPLICANT_TITLES.map((t) => (
+                <option key={t} value={t}>{t}</option>
+              ))}
+            </select>
+            {errors.title && <p className="text-sm text-red-600 mt-1">{errors.title}</p>}
+          </div>
 
           {/* Interview Dropdown */}
-          <select
-            name="interview_id"
-            value={formData.interview_id}
-            onChange={handleChange}
-            required
-            className="w-full border rounded px-3 py-2"
-          >
-            <option value="">-- Select Interview --</option>
-            {interviews.map((i) => (
-              <option key={i.id} value={i.id}>
-                {i.title}
-              </option>
-            ))}
-          </select>
+          <div>
+            <select
+              name="interview_id"
+              value={formData.interview_id}
+              onChange={handleChange}
+              required
+              className="w-full border rounded px-3 py-2"
+            >
+              <option value="">-- Select Interview --</option>
+              {interviews.map((i) => (
+                <option key={i.id} value={i.id}>
+                  {i.title}
+                </option>
+              ))}
+            </select>
+            {errors.interview_id && <p className="text-sm text-red-600 mt-1">{errors.interview_id}</p>}
+          </div>
 
           {/* Firstname */}
-          <input
-            type="text"
-            name="firstname"
-            placeholder="Enter Applicant Firstname"
-            value={formData.firstname}
-            onChange={handleChange}
-            required
-            className="w-full border rounded px-3 py-2"
-          />
+          <div>
+            <input
+              type="text"
+              name="firstname"
+              placeholder="Enter Applicant Firstname"
+              value={formData.firstname}
+              onChange={handleChange}
+              required
+              className="w-full border rounded px-3 py-2"
+            />
+            {errors.firstname && <p className="text-sm text-red-600 mt-1">{errors.firstname}</p>}
+          </div>
 
           {/* Surname */}
-          <input
-            type="text"
-            name="surname"
-            placeholder="Enter Applicant Surname"
-            value={formData.surname}
-            onChange={handleChange}
-            required
-            className="w-full border rounded px-3 py-2"
-          />
+          <div>
+            <input
+              type="text"
+              name="surname"
+              placeholder="Enter Applicant Surname"
+              value={formData.surname}
+              onChange={handleChange}
+              required
+              className="w-full border rounded px-3 py-2"
+            />
+            {errors.surname && <p className="text-sm text-red-600 mt-1">{errors.surname}</p>}
+          </div>
 
           {/* Phone Number */}
-          <input
-            type="text"
-            name="phone_number"
-            placeholder="Enter Applicant Phone Number"
-            value={formData.phone_number}
-            onChange={handleChange}
-            required
-            className="w-full border rounded px-3 py-2"
-          />
+          <div>
+            <input
+              type="text"
+              name="phone_number"
+              placeholder="Enter Applicant Phone Number"
+              value={formData.phone_number}
+              onChange={handleChange}
+              required
+              className="w-full border rounded px-3 py-2"
+            />
+            {errors.phone_number && <p className="text-sm text-red-600 mt-1">{errors.phone_number}</p>}
+          </div>
 
           {/* Email */}
-          <input
-            type="email"
-            name="email_address"
-            placeholder="Enter Applicant Email"
-            value={formData.email_address}
-            onChange={handleChange}
-            required
-            className="w-full border rounded px-3 py-2"
-          />
+          <div>
+            <input
+              type="email"
+              name="email_address"
+              placeholder="Enter Applicant Email"
+              value={formData.email_address}
+              onChange={handleChange}
+              required
+              className="w-full border rounded px-3 py-2"
+            />
+            {errors.email_address && <p className="text-sm text-red-600 mt-1">{errors.email_address}</p>}
+          </div>
 
           {/* Status */}
           <select
@@ -154,8 +184,9 @@ export default function ApplicantForm({ isOpen, onClose, onSave, initialData })
             onChange={handleChange}
             className="w-full border rounded px-3 py-2"
           >
-            <option value="Not Started">Not Started</option>
-            <option value="Completed">Completed</option>
+            {APPLICANT_STATUSES.map((s) => (
+              <option key={s} value={s}>{s}</option>
+            ))}
           </select>
 
           {/* Buttons */}
@@ -0,0 +1,311 @@
+import { useState, useEffect } from "react";
+import toast from "react-hot-toast";
+import { query, createApplicants } from "../../services/api";
+import { useInterviews } from "../../services/store";
+import { createInvite } from "../../services/invites";
+import {
+  IMPORT_FIELDS,
+  readSpreadsheet,
+  guessMapping,
+  validateRows,
+} from "./importApplicants";
+
+// Applicants created per request
+const IMPORT_BATCH_SIZE = 100;
+
+/**
+ * ApplicantImport Component
+ *
+ * Modal wizard for adding many applicants from a CSV or XLSX file:
+ * 1. Choose the target interview and the file
+ * 2. Map the file's columns to applicant fields (guessed from the header row)
+ * 3. Preview every row with its errors and duplicates (by email within the interview),
+ *    then create the valid ones, each with their own invitation. Rows are marked imported
+ *    batch by batch, so retrying after a failure only imports the rest
+ *
+ * Props:
+ * - isOpen: boolean → controls visibility of modal
+ * - onClose: () => void → closes modal
+ * - onImported: (applicants) => void → called with the created applicants
+*/
+export default function ApplicantImport({ isOpen, onClose, onImported }) {
+  const [step, setStep] = useState("file"); // "file" | "mapping" | "preview"
+  const [interviewId, setInterviewId] = useState("");
+  const [fileName, setFileName] = useState("");
+  const [sheet, setSheet] = useState(null); // { headers, rows }
+  const [mapping, setMapping] = useState({}); // field name → column index
+  const [results, setResults] = useState([]); // validated rows, marked `imported` once created
+  const [working, setWorking] = useState(false);
+
+  const { rows: interviews } = useInterviews();
+
+  // Start over whenever the wizard is opened
+  useEffect(() => {
+    if (isOpen) {
+      setStep("file");
+      setFileName("");
+      setSheet(null);
+      setResults([]);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  /**
+   * Read the chosen file and guess the column mapping.
+  */
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setWorking(true);
+      const data = await readSpreadsheet(file);
+      setFileName(file.name);
+      setSheet(data);
+      setMapping(guessMapping(data.headers));
+    } catch (err) {
+      console.error("Reading spreadsheet failed", err);
+      setSheet(null);
+      toast.error(err.message || "Could not read the file");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  /**
+   * Check every row against the applicants already in the interview.
+  */
+  const handlePreview = async () => {
+    const unmapped = IMPORT_FIELDS.filter((f) => f.required && mapping[f.name] < 0);
+    if (unmapped.length > 0) {
+      toast.error(`Choose a column for ${unmapped.map((f) => f.label).join(", ")}`);
+      return;
+    }
+    try {
+      setWorking(true);
+      const existing = await query("applicant")
+        .select("email_address")
+        .eq("interview_id", interviewId)
+        .get();
+      setResults(validateRows(sheet.rows, mapping, existing.map((a) => a.email_address || "")));
+      setStep("preview");
+    } catch {
+      toast.error("Failed to check existing applicants");
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const importable = results.filter((r) => r.errors.length === 0 && !r.duplicate && !r.imported);
+  const importedCount = results.filter((r) => r.imported).length;
+
+  /**
+   * Create the valid, non-duplicate applicants in batches.
+   * Each batch is marked imported as soon as it is created, so a retry skips it.
+  */
+  const handleImport = async () => {
+    const created = [];
+    try {
+      setWorking(true);
+      for (let i = 0; i < importable.length; i += IMPORT_BATCH_SIZE) {
+        const batchRows = importable.slice(i, i + IMPORT_BATCH_SIZE);
+        const batch = batchRows.map((r) => ({
+          ...r.data,
+          interview_id: interviewId,
+          interview_status: "Not Started",
+          ...createInvite(),
+        }));
+        created.push(...(await createApplicants(batch)));
+
+        const lines = new Set(batchRows.map((r) => r.line));
+        setResults((prev) => prev.map((r) => (lines.has(r.line) ? { ...r, imported: true } : r)));
+      }
+      toast.success(`Imported ${created.length} applicants`);
+      onImported(created);
+    } catch {
+      toast.error(
+        created.length > 0
+          ? `Imported ${created.length} applicants, then the import failed. Import again to add the rest.`
+          : "Import failed"
+      );
+      if (created.length > 0) onImported(created);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black/50 z-50">
+      <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-3xl max-h-[80vh] overflow-y-auto">
+        <h2 className="text-lg font-semibold mb-1">Import Applicants</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Step {["file", "mapping", "preview"].indexOf(step) + 1} of 3
+        </p>
+
+        {/* Step 1 – Interview and file */}
+        {step === "file" && (
+          <div className="space-y-4">
+            <select
+              value={interviewId}
+              onChange={(e) => setInterviewId(e.target.value)}
+              className="w-full border rounded px-3 py-2"
+            >
+              <option value="">-- Select Interview --</option>
+              {interviews.map((i) => (
+                <option key={i.id} value={i.id}>
+                  {i.title}
+                </option>
+              ))}
+            </select>
+            <label className="block text-sm text-gray-600">
+              CSV or Excel (.xlsx) file, with a header row
+              <input
+                type="file"
+                accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                onChange={handleFile}
+                className="block w-full mt-1 text-sm"
+              />
+            </label>
+            {sheet && (
+              <p className="text-sm text-gray-600">
+                {fileName}: {sheet.rows.length} rows, {sheet.headers.length} columns
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Step 2 – Column mapping */}
+        {step === "mapping" && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">Choose the column holding each field.</p>
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field.name} className="flex items-center gap-3 text-sm">
+                <span className="w-36">
+                  {field.label}
+                  {field.required && <span className="text-red-600"> *</span>}
+                </span>
+                <select
+                  value={mapping[field.name]}
+                  onChange={(e) =>
+                    setMapping((prev) => ({ ...prev, [field.name]: Number(e.target.value) }))
+                  }
+                  className="flex-1 border rounded px-2 py-1"
+                >
+                  <option value={-1}>{field.required ? "-- Choose a column --" : "-- None (Other) --"}</option>
+                  {sheet.headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header || `Column ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        )}
+
+        {/* Step 3 – Preview */}
+        {step === "preview" && (
+          <div>
+            <p className="text-sm text-gray-600 mb-3">
+              {importable.length} of {results.length} rows will be imported.
+              {importedCount > 0 && ` ${importedCount} rows have already been imported.`}
+              {results.length > importable.length &&
+                " Rows with errors or duplicate emails are skipped; fix them in the file and import them again."}
+            </p>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-1 pr-2">Row</th>
+                  <th className="py-1 pr-2">Name</th>
+                  <th className="py-1 pr-2">Email</th>
+                  <th className="py-1 pr-2">Phone</th>
+                  <th className="py-1">Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((r) => (
+                  <tr
+                    key={r.line}
+                    className={`border-b align-top ${
+                      r.imported ? "bg-gray-50" : r.errors.length > 0 ? "bg-red-50" : r.duplicate ? "bg-yellow-50" : ""
+                    }`}
+                  >
+                    <td className="py-1 pr-2 text-gray-500">{r.line}</td>
+                    <td className="py-1 pr-2">
+                      {r.data.title} {r.data.firstname} {r.data.surname}
+                    </td>
+                    <td className="py-1 pr-2">{r.data.email_address}</td>
+                    <td className="py-1 pr-2">{r.data.phone_number}</td>
+                    <td className="py-1">
+                      {r.imported ? (
+                        <span className="text-gray-500">Imported</span>
+                      ) : r.errors.length > 0 ? (
+                        <span className="text-red-600">{r.errors.join("; ")}</span>
+                      ) : r.duplicate ? (
+                        <span className="text-yellow-700">Duplicate email in this interview</span>
+                      ) : (
+                        <span className="text-green-700">OK</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="flex justify-between gap-2 mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 cursor-pointer"
+          >
+            Cancel
+          </button>
+          <div className="flex gap-2">
+            {step !== "file" && (
+              <button
+                type="button"
+                onClick={() => setStep(step === "preview" ? "mapping" : "file")}
+                disabled={working}
+                className="px-4 py-2 bg-gray-100 rounded hover:bg-gray-200 cursor-pointer"
+              >
+                Back
+              </button>
+            )}
+            {step === "file" && (
+              <button
+                type="button"
+                onClick={() => setStep("mapping")}
+                disabled={!interviewId || !sheet || working}
+                className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer disabled:opacity-50"
+              >
+                Next
+              </button>
+            )}
+            {step === "mapping" && (
+              <button
+                type="button"
+                onClick={handlePreview}
+                disabled={working}
+                className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer disabled:opacity-50"
+              >
+                {working ? "Checking..." : "Preview"}
+              </button>
+            )}
+            {step === "preview" && (
+              <button
+                type="button"
+                onClick={handleImport}
+                disabled={working || importable.length === 0}
+                className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 cursor-pointer disabled:opacity-50"
+              >
+                {working ? "Importing..." : `Import ${importable.length} applicants`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
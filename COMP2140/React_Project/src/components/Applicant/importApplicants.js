@@ -0,0 +1,111 @@
+import Papa from "papaparse";
+import readXlsxFile from "read-excel-file";
+import { z } from "zod";
+import { applicantFields, APPLICANT_TITLES } from "../../services/schemas";
+
+// Applicant fields a spreadsheet column can be mapped to, with header names recognised for each
+export const IMPORT_FIELDS = [
+  { name: "title", label: "Title", required: false, aliases: ["title", "salutation", "prefix"] },
+  { name: "firstname", label: "First name", required: true, aliases: ["firstname", "first", "givenname", "forename"] },
+  { name: "surname", label: "Surname", required: true, aliases: ["surname", "lastname", "last", "familyname"] },
+  { name: "phone_number", label: "Phone number", required: true, aliases: ["phonenumber", "phone", "mobile", "telephone", "tel"] },
+  { name: "email_address", label: "Email address", required: true, aliases: ["emailaddress", "email", "mail"] },
+];
+
+// Largest spreadsheet accepted, in data rows
+export const MAX_IMPORT_ROWS = 1000;
+
+//Schema for one imported applicant (the same rules as the applicant form)
+const importedApplicantSchema = z.object(applicantFields);
+
+/**
+ * Read a CSV or XLSX file into its header row and data rows, every cell as a trimmed string.
+ * Empty rows are skipped.
+ *
+ * @param {File} file - The uploaded spreadsheet.
+ * @returns {Promise<{ headers: Array<string>, rows: Array<Array<string>> }>}
+ */
+export async function readSpreadsheet(file) {
+  const isExcel = /\.xlsx$/i.test(file.name);
+  const raw = isExcel
+    ? await readXlsxFile(file)
+    : await new Promise((resolve, reject) => {
+        Papa.parse(file, {
+          skipEmptyLines: "greedy",
+          complete: (result) => resolve(result.data),
+          error: reject,
+        });
+      });
+
+  const cells = raw
+    .map((row) => row.map((cell) => (cell == null ? "" : String(cell).trim())))
+    .filter((row) => row.some(Boolean));
+  if (cells.length < 2) {
+    throw new Error("The file needs a header row and at least one applicant.");
+  }
+  if (cells.length - 1 > MAX_IMPORT_ROWS) {
+    throw new Error(`The file has too many rows (at most ${MAX_IMPORT_ROWS} applicants at a time).`);
+  }
+
+  const [headers, ...rows] = cells;
+  return { headers, rows };
+}
+
+// Header text reduced to lowercase letters, for matching against field aliases
+function normaliseHeader(header) {
+  return header.toLowerCase().replace(/[^a-z]/g, "");
+}
+
+/**
+ * Guess which column holds each applicant field from the header names.
+ *
+ * @param {Array<string>} headers - The header row.
+ * @returns {object} - Map of field name → column index (-1 when no column matches).
+ */
+export function guessMapping(headers) {
+  const normalised = headers.map(normaliseHeader);
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    mapping[field.name] = normalised.findIndex((h) => field.aliases.includes(h));
+  });
+  return mapping;
+}
+
+// Match a title case-insensitively, ignoring a trailing full stop ("mrs." → "Mrs")
+function normaliseTitle(title) {
+  const plain = title.replace(/\.$/, "").toLowerCase();
+  return APPLICANT_TITLES.find((t) => t.toLowerCase() === plain) ?? title;
+}
+
+/**
+ * Turn spreadsheet rows into applicants and check each one.
+ * A row is a duplicate when its email is already used in the target interview,
+ * or by an earlier valid row of the file. Rows without a title column get "Other".
+ *
+ * @param {Array<Array<string>>} rows - The data rows.
+ * @param {object} mapping - Map of field name → column index (see guessMapping).
+ * @param {Array<string>} existingEmails - Emails of the applicants already in the target interview.
+ * @returns {Array<{ line: number, data: object, errors: Array<string>, duplicate: boolean }>}
+ *   - `line` is the row's number in the file, counting the header as 1 (empty rows are not counted)
+ */
+export function validateRows(rows, mapping, existingEmails) {
+  const seen = new Set(existingEmails.map((email) => email.toLowerCase()));
+
+  return rows.map((row, index) => {
+    const values = {};
+    IMPORT_FIELDS.forEach((field) => {
+      values[field.name] = mapping[field.name] >= 0 ? row[mapping[field.name]] ?? "" : "";
+    });
+    values.title = values.title ? normaliseTitle(values.title) : "Other";
+
+    const parsed = importedApplicantSchema.safeParse(values);
+    const errors = parsed.success ? [] : parsed.error.issues.map((issue) => issue.message);
+
+    // Only rows that will be imported claim their email
+    const email = values.email_address.toLowerCase();
+    const duplicate = !!email && seen.has(email);
+    if (errors.length === 0) seen.add(email);
+
+    return { line: index + 2, data: values, errors, duplicate };
+  });
+}
@@ -0,0 +1,74 @@
+import { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import toast from "react-hot-toast";
+import { signIn } from "../../services/auth";
+
+/**
+ * LoginForm Component
+ *
+ * Sign-in form for interviewers.
+ * - Accepts the JWT issued for the Interview App API
+ * - Decodes the username from the token claims and keeps the token for this session
+ * - Redirects to the `next` query param (set after a 401) or the Interviews screen
+*/
+export default function LoginForm() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [token, setToken] = useState("");
+  const [error, setError] = useState("");
+
+  /**
+   * Validate the token, store it and continue to the requested page.
+  */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      const username = signIn(token);
+      toast.success(`Signed in as ${username}`);
+      navigate(searchParams.get("next") || "/Interviews", { replace: true });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center px-6 min-h-screen">
+      <motion.div
+        initial={{ opacity: 0, y: 30 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6, ease: "easeOut" }}
+        className="bg-white rounded-lg shadow-lg p-8 w-full max-w-md"
+      >
+        <h1 className="text-2xl font-bold text-gray-800 mb-2">Sign in</h1>
+        <p className="text-sm text-gray-500 mb-6">
+          Paste the JSON Web Token issued to you for the Interview App API.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <textarea
+            name="token"
+            value={token}
+            onChange={(e) => {
+              setToken(e.target.value);
+              setError("");
+            }}
+            placeholder="eyJhbGciOi..."
+            rows={4}
+            required
+            className="w-full border rounded px-3 py-2 font-mono text-sm"
+          />
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            className="w-full px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer"
+          >
+            Sign in
+          </button>
+        </form>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import { Navigate, useLocation } from "react-router-dom";
+import { isSignedIn } from "../../services/auth";
+
+/**
+ * RequireAuth Component
+ *
+ * Route guard for interviewer screens.
+ * Renders its children when signed in, otherwise redirects to `/login`
+ * and remembers the requested page so the user comes back after signing in.
+ *
+ * Props:
+ * - children: the protected screen
+*/
+export default function RequireAuth({ children }) {
+  const location = useLocation();
+
+  if (!isSignedIn()) {
+    const next = encodeURIComponent(`${location.pathname}${location.search}`);
+    return <Navigate to={`/login?next=${next}`} replace />;
+  }
+
+  return children;
+}
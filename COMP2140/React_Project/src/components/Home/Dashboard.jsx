@@ -0,0 +1,263 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { query } from "../../services/api";
+import {
+  useCollection,
+  useInterviews,
+  useAllQuestions,
+  useAllApplicants,
+} from "../../services/store";
+import { buildAnalytics, jobRoles } from "../../services/analytics";
+import { SCORES } from "../../services/schemas";
+
+// Bar colours for each question difficulty
+const DIFFICULTY_COLORS = {
+  Easy: "bg-green-500",
+  Intermediate: "bg-yellow-500",
+  Advanced: "bg-red-500",
+};
+
+/**
+ * Describe a number of hours, e.g. 0.5 → "30 min", 30 → "30 h", 80 → "3.3 days".
+ */
+function formatHours(hours) {
+  if (hours === null) return "–";
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${Math.round(hours)} h`;
+  return `${Math.round((hours / 24) * 10) / 10} days`;
+}
+
+/**
+ * One labelled horizontal bar, sized relative to `max`.
+ */
+function Bar({ label, value, max, color = "bg-indigo-500", detail }) {
+  return (
+    <div className="flex items-center gap-3 text-sm">
+      <span className="w-28 shrink-0 text-gray-600">{label}</span>
+      <div className="flex-1 bg-gray-100 rounded h-5">
+        <div
+          className={`${color} h-5 rounded`}
+          style={{ width: `${max > 0 ? (value / max) * 100 : 0}%` }}
+        />
+      </div>
+      <span className="w-20 shrink-0 text-right text-gray-800">
+        {value}
+        {detail && <span className="text-gray-500"> {detail}</span>}
+      </span>
+    </div>
+  );
+}
+
+/**
+ * A titled chart card.
+ */
+function Panel({ title, children }) {
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-lg font-semibold text-gray-800 mb-4">{title}</h2>
+      <div className="space-y-2">{children}</div>
+    </div>
+  );
+}
+
+/**
+ * Dashboard Component
+ *
+ * Hiring analytics across every interview, shown on Home to signed-in interviewers:
+ * - Completion funnel (invited, started, completed) of applicants sent their link
+ * - Time from invitation to completion (median, average and spread)
+ * - Question difficulty mix per interview
+ * - Review score distributions (per answer, and per applicant on average)
+ * Filterable by the date applicants were invited and by job role.
+ * Reads interviews, questions and applicants from the shared store.
+*/
+export default function Dashboard() {
+  const [filters, setFilters] = useState({ from: "", to: "", jobRole: "" });
+
+  const { rows: interviews, loading, error } = useInterviews();
+  const { rows: questions } = useAllQuestions();
+  const { rows: applicants } = useAllApplicants();
+  const { rows: answers } = useCollection("applicant_answer:scores", "applicant_answer", () =>
+    query("applicant_answer").select("id,applicant_id,score").order("id")
+  );
+
+  useEffect(() => {
+    if (error) toast.error("Failed to load analytics");
+  }, [error]);
+
+  /**
+   * Handle changes to the date range and job role filters.
+  */
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  if (loading) {
+    return (
+      <p className="text-gray-500 text-center mt-24 animate-pulse">Loading analytics...</p>
+    );
+  }
+
+  const { funnel, completion, difficulty, scores } = buildAnalytics(
+    { interviews, questions, applicants, answers },
+    filters
+  );
+  const percentOfInvited = (count) =>
+    funnel.invited > 0 ? `(${Math.round((count / funnel.invited) * 100)}%)` : "";
+  const maxBucket = Math.max(...completion.buckets.map((b) => b.count));
+  const maxQuestions = Math.max(0, ...difficulty.map((d) => d.total));
+
+  return (
+    <div className="container mx-auto px-6 py-8 mt-10">
+      {/* Header and filters */}
+      <div className="flex flex-col md:flex-row justify-between items-center mb-6 gap-4">
+        <h1 className="text-3xl font-bold text-gray-800">Hiring Analytics</h1>
+        <div className="flex flex-wrap gap-3 items-center text-sm">
+          <label className="flex items-center gap-2 text-gray-600">
+            Invited from
+            <input
+              type="date"
+              name="from"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={handleFilterChange}
+              className="border rounded px-2 py-1"
+            />
+          </label>
+          <label className="flex items-center gap-2 text-gray-600">
+            to
+            <input
+              type="date"
+              name="to"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={handleFilterChange}
+              className="border rounded px-2 py-1"
+            />
+          </label>
+          <select
+            name="jobRole"
+            value={filters.jobRole}
+            onChange={handleFilterChange}
+            className="border rounded px-3 py-2"
+          >
+            <option value="">All job roles</option>
+            {jobRoles(interviews).map((role) => (
+              <option key={role}>{role}</option>
+            ))}
+          </select>
+          {(filters.from || filters.to || filters.jobRole) && (
+            <button
+              onClick={() => setFilters({ from: "", to: "", jobRole: "" })}
+              className="text-indigo-600 hover:underline cursor-pointer"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+      {(filters.from || filters.to) && (
+        <p className="text-sm text-gray-500 -mt-4 mb-6">
+          Applicants invited before invitation dates were recorded are left out of date ranges.
+        </p>
+      )}
+
+      <div className="grid gap-6 md:grid-cols-2">
+        <Panel title="Completion funnel">
+          <Bar label="Invited" value={funnel.invited} max={funnel.invited} />
+          <Bar
+            label="Started"
+            value={funnel.started}
+            max={funnel.invited}
+            color="bg-yellow-500"
+            detail={percentOfInvited(funnel.started)}
+          />
+          <Bar
+            label="Completed"
+            value={funnel.completed}
+            max={funnel.invited}
+            color="bg-green-500"
+            detail={percentOfInvited(funnel.completed)}
+          />
+        </Panel>
+
+        <Panel title="Time from invitation to completion">
+          <div className="flex gap-8 mb-2">
+            <div>
+              <p className="text-2xl font-bold text-gray-800">{formatHours(completion.medianHours)}</p>
+              <p className="text-xs text-gray-500">Median</p>
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-gray-800">{formatHours(completion.averageHours)}</p>
+              <p className="text-xs text-gray-500">Average</p>
+            </div>
+            <div>
+              <p className="text-2xl font-bold text-gray-800">{completion.count}</p>
+              <p className="text-xs text-gray-500">Completed interviews</p>
+            </div>
+          </div>
+          {completion.buckets.map((bucket) => (
+            <Bar key={bucket.label} label={bucket.label} value={bucket.count} max={maxBucket} />
+          ))}
+        </Panel>
+
+        <Panel title="Question difficulty per interview">
+          {difficulty.length === 0 ? (
+            <p className="text-sm text-gray-500">No interviews match your filters.</p>
+          ) : (
+            <>
+              <div className="flex gap-4 text-xs text-gray-600 mb-2">
+                {Object.entries(DIFFICULTY_COLORS).map(([d, color]) => (
+                  <span key={d} className="flex items-center gap-1">
+                    <span className={`inline-block w-3 h-3 rounded ${color}`} /> {d}
+                  </span>
+                ))}
+              </div>
+              {difficulty.map(({ interview, counts, total }) => (
+                <div key={interview.id} className="flex items-center gap-3 text-sm">
+                  <span className="w-28 shrink-0 text-gray-600 truncate" title={interview.title}>
+                    {interview.title}
+                  </span>
+                  <div className="flex-1 bg-gray-100 rounded h-5 flex overflow-hidden">
+                    {Object.entries(counts).map(([d, count]) => (
+                      <div
+                        key={d}
+                        className={DIFFICULTY_COLORS[d]}
+                        style={{ width: `${maxQuestions > 0 ? (count / maxQuestions) * 100 : 0}%` }}
+                        title={`${d}: ${count}`}
+                      />
+                    ))}
+                  </div>
+                  <span className="w-20 shrink-0 text-right text-gray-800">{total}</span>
+                </div>
+              ))}
+            </>
+          )}
+        </Panel>
+
+        <Panel title="Review scores">
+          <p className="text-xs text-gray-500">Answers by score</p>
+          {SCORES.map((score, i) => (
+            <Bar
+              key={score}
+              label={`${score} / 5`}
+              value={scores.answers[i]}
+              max={Math.max(...scores.answers)}
+            />
+          ))}
+          <p className="text-xs text-gray-500 pt-2">Applicants by average score</p>
+          {SCORES.map((score, i) => (
+            <Bar
+              key={score}
+              label={`${score} / 5`}
+              value={scores.applicants[i]}
+              max={Math.max(...scores.applicants)}
+              color="bg-purple-500"
+            />
+          ))}
+        </Panel>
+      </div>
+    </div>
+  );
+}
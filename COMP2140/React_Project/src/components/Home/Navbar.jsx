@@ -1,7 +1,9 @@
 import { useState, useEffect } from "react";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
-import { Menu, X } from "lucide-react";
+import { Menu, X, LogOut } from "lucide-react";
+import toast from "react-hot-toast";
+import { getUsername, signOut } from "../../services/auth";
 
 /**
  * Navbar Component
@@ -11,10 +13,13 @@ import { Menu, X } from "lucide-react";
  * - Desktop links staggered entrance
  * - Mobile dropdown with slide/fade
  * - Hover/tap interactions
+ * - Signed-in username with a logout action (or a sign-in link)
  */
 const Navbar = () => {
+  const navigate = useNavigate();
   const [isOpen, setIsOpen] = useState(false);
   const [scrolled, setScrolled] = useState(false);
+  const username = getUsername();
 
   // Add shadow when user scrolls past 10px
   useEffect(() => {
@@ -25,6 +30,16 @@ const Navbar = () => {
     return () => window.removeEventListener("scroll", handleScroll);
   }, []);
 
+  /**
+   * Sign the interviewer out and return to the sign-in page.
+   */
+  const handleLogout = () => {
+    signOut();
+    setIsOpen(false);
+    toast.success("Logged out");
+    navigate("/login");
+  };
+
   // Variants
   const navLinks = {
     hidden: { opacity: 0, y: -10 },
@@ -54,7 +69,7 @@ const Navbar = () => {
 
         {/* Desktop menu */}
         <div className="hidden md:flex gap-10 text-gray-700 font-medium">
-          {["Interviews", "Questions", "Applicants"].map((item, i) => (
+          {["Interviews", "Questions", "Library", "Applicants"].map((item, i) => (
             <motion.div
               key={item}
               custom={i}
@@ -71,6 +86,27 @@ const Navbar = () => {
           ))}
         </div>
 
+        {/* Desktop account */}
+        <div className="hidden md:flex items-center gap-4 text-sm">
+          {username ? (
+            <>
+              <span className="text-gray-500">{username}</span>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={handleLogout}
+                className="flex items-center gap-1 text-gray-700 hover:text-indigo-600 cursor-pointer"
+              >
+                <LogOut size={16} /> Logout
+              </motion.button>
+            </>
+          ) : (
+            <Link to="/login" className="text-indigo-600 font-medium">
+              Sign in
+            </Link>
+          )}
+        </div>
+
         {/* Mobile menu button */}
         <motion.button
           whileHover={{ scale: 1.1 }}
@@ -93,7 +129,7 @@ const Navbar = () => {
             transition={{ duration: 0.3, ease: "easeInOut" }}
             className="md:hidden bg-white px-6 pb-4 space-y-3"
           >
-            {["Interviews", "Questions", "Applicants"].map((item, i) => (
+            {["Interviews", "Questions", "Library", "Applicants"].map((item, i) => (
               <motion.div
                 key={item}
                 custom={i}
@@ -111,6 +147,22 @@ const Navbar = () => {
                 </Link>
               </motion.div>
             ))}
+            {username ? (
+              <button
+                onClick={handleLogout}
+                className="flex items-center gap-1 py-2 text-gray-700 hover:text-indigo-600"
+              >
+                <LogOut size={16} /> Logout ({username})
+              </button>
+            ) : (
+              <Link
+                to="/login"
+                className="block py-2 text-indigo-600"
+                onClick={() => setIsOpen(false)}
+              >
+                Sign in
+              </Link>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
@@ -1,15 +1,25 @@
 import {
-  getInterviews,
   deleteInterview,
   createInterview,
   updateInterview,
-  getQuestions,
-  getApplicants,
+  createQuestions,
+  duplicateInterview,
 } from "../../services/api";
+import {
+  useInterviews,
+  useAllQuestions,
+  useAllApplicants,
+  saveEntities,
+  removeEntity,
+  invalidate,
+} from "../../services/store";
 import { useEffect, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import toast from "react-hot-toast";
+import { exportInterviewCsv, exportInterviewPdf } from "../../services/exports";
+import { interviewStats } from "../../services/analytics";
 import InterviewForm from "./InterviewForm";
+import InterviewDuplicate from "./InterviewDuplicate";
 
 /**
  * InterviewCard Component
@@ -18,105 +28,113 @@ import InterviewForm from "./InterviewForm";
  * and provides CRUD functionality for interviews.
  *
  * Features:
- * - Fetches interviews, questions, and applicants
+ * - Reads interviews, questions, and applicants from the shared store
  * - Counts number of questions and applicants per interview
  * - Tracks applicant statuses (Completed, In Progress, Not Started)
  * - Provides filtering by interview status
- * - Allows creating, editing, and deleting interviews
+ * - Allows creating, editing, duplicating (with its questions) and deleting interviews
+ * - Saves AI-drafted interviews together with their questions
+ * - Exports an interview's results as a CSV spreadsheet or a PDF of applicant reports
  * - Uses Framer Motion for animations
 */
 const InterviewCard = () => {
-  const [interviews, setInterviews] = useState([]);
-  const [loading, setLoading] = useState(true);
   const [formOpen, setFormOpen] = useState(false);
   const [editingInterview, setEditingInterview] = useState(null);
-  const [questionCounts, setQuestionCounts] = useState({});
-  const [applicantCounts, setApplicantCounts] = useState({});
-  const [statusCounts, setStatusCounts] = useState({});
   const [filter, setFilter] = useState("All");
+  const [exporting, setExporting] = useState(null); // "<interview id>:<format>" being exported
+  const [duplicating, setDuplicating] = useState(null); // interview being copied
 
-  /**
-   * Fetches interviews, questions, and applicants on mount.
-   * Builds stats (question counts, applicant counts, status counts).
-  */
-  useEffect(() => {
-    async function fetchData() {
-      try {
-        const [iData, qData, aData] = await Promise.all([
-          getInterviews(),
-          getQuestions(),
-          getApplicants(),
-        ]);
-        setInterviews(iData);
+  // Cached lists, shared with the Questions and Applicants screens
+  const { rows: interviews, loading, error } = useInterviews();
+  const { rows: questions } = useAllQuestions();
+  const { rows: applicants } = useAllApplicants();
 
-        // count questions
-        const qCounts = {};
-        qData.forEach((q) => {
-          qCounts[q.interview_id] = (qCounts[q.interview_id] || 0) + 1;
-        });
-        setQuestionCounts(qCounts);
-
-        // count applicants + statuses
-        const aCounts = {};
-        const sCounts = {};
-        aData.forEach((a) => {
-          aCounts[a.interview_id] = (aCounts[a.interview_id] || 0) + 1;
-
-          if (!sCounts[a.interview_id]) {
-            sCounts[a.interview_id] = {
-              Completed: 0,
-              "In Progress": 0,
-              "Not Started": 0,
-            };
-          }
-          sCounts[a.interview_id][a.interview_status] =
-            (sCounts[a.interview_id][a.interview_status] || 0) + 1;
-        });
-        setApplicantCounts(aCounts);
-        setStatusCounts(sCounts);
+  useEffect(() => {
+    if (error) toast.error("Failed to load interviews");
+  }, [error]);
 
-        setLoading(false);
-      } catch (err) {
-        toast.error("Failed to load interviews");
-        setLoading(false);
-      }
-    }
-    fetchData();
-  }, []);
+  // count questions, applicants + statuses (shared with the Home dashboard)
+  const { questionCounts, applicantCounts, statusCounts } = interviewStats(questions, applicants);
 
   /**
    * Deletes an interview by ID.
-   * Updates local state after successful deletion.
+   * Removes it from the shared store after successful deletion.
    * @param id - Interview ID
   */
   const handleDelete = async (id) => {
     try {
       await deleteInterview(id);
-      setInterviews((prev) => prev.filter((i) => i.id !== id));
+      removeEntity("interview", id);
+      // questions and applicants of the interview may have gone with it
+      invalidate("question", "applicant");
       toast.success("Interview deleted successfully");
     } catch {
       toast.error("Error deleting interview");
     }
   };
 
+  /**
+   * Download an interview's results.
+   * @param interview - The interview to export
+   * @param format - "csv" (one row per applicant) or "pdf" (a report per applicant)
+  */
+  const handleExport = async (interview, format) => {
+    setExporting(`${interview.id}:${format}`);
+    try {
+      const count = await (format === "csv" ? exportInterviewCsv : exportInterviewPdf)(interview);
+      if (count === 0) {
+        toast.error("This interview has no applicants to export");
+      } else {
+        toast.success(`Exported ${count} applicants`);
+      }
+    } catch (err) {
+      console.error("Export failed", err);
+      toast.error("Export failed");
+    } finally {
+      setExporting(null);
+    }
+  };
+
   /**
    * Saves an interview (create or update).
    * - If editing, updates the existing interview
-   * - If creating, adds a new interview
+   * - If creating, adds a new interview, then its AI-drafted questions (in order).
+   *   If the questions cannot be saved, the interview is deleted again and the form stays open to retry
    * @param data - Interview form data
+   * @param draftQuestions - Reviewed AI questions ({ text, difficulty }) to add, if any
   */
-  const handleSave = async (data) => {
+  const handleSave = async (data, draftQuestions = []) => {
     try {
       if (editingInterview) {
         const updated = await updateInterview(editingInterview.id, data);
-        setInterviews((prev) =>
-          prev.map((i) => (i.id === editingInterview.id ? updated[0] : i))
-        );
+        saveEntities("interview", updated);
         toast.success("Interview updated");
       } else {
         const created = await createInterview(data);
-        setInterviews((prev) => [...prev, created[0]]);
-        toast.success("Interview created");
+
+        if (draftQuestions.length > 0) {
+          try {
+            const createdQuestions = await createQuestions(
+              draftQuestions.map((q, index) => ({
+                question: q.text,
+                difficulty: q.difficulty,
+                interview_id: created[0].id,
+                sort_order: index + 1,
+              }))
+            );
+            saveEntities("question", createdQuestions, { appendTo: ["question:all"] });
+          } catch {
+            await deleteInterview(created[0].id).catch(() => {});
+            toast.error("The interview's questions could not be saved, so it was not created. Please try again.");
+            return;
+          }
+        }
+        saveEntities("interview", created, { appendTo: ["interview:all"] });
+        toast.success(
+          draftQuestions.length > 0
+            ? `Interview created with ${draftQuestions.length} questions`
+            : "Interview created"
+        );
       }
       setFormOpen(false);
       setEditingInterview(null);
@@ -125,6 +143,25 @@ const InterviewCard = () => {
     }
   };
 
+  /**
+   * Copies the interview being duplicated, with its questions, as a new Draft interview.
+   * @param title - Title of the copy
+  */
+  const handleDuplicate = async (title) => {
+    try {
+      const { interview, questions: copied } = await duplicateInterview(duplicating, title);
+      saveEntities("interview", [interview], { appendTo: ["interview:all"] });
+      if (copied.length > 0) {
+        saveEntities("question", copied, { appendTo: ["question:all"] });
+      }
+      toast.success(`Interview duplicated with ${copied.length} questions`);
+      setDuplicating(null);
+    } catch (err) {
+      console.error("Duplicating interview failed", err);
+      toast.error("Error duplicating interview");
+    }
+  };
+
   /**
    * Opens the edit modal for a specific interview.
    * @param interview - Interview object
@@ -275,6 +312,12 @@ const InterviewCard = () => {
                     </p>
                     <p className="text-xs">Completed</p>
                   </div>
+                  <div className="bg-yellow-50 text-yellow-700 rounded p-3 text-center">
+                    <p className="text-lg font-bold">
+                      {statusCounts[interview.id]?.["In Progress"] || 0}
+                    </p>
+                    <p className="text-xs">In Progress</p>
+                  </div>
                   <div className="bg-gray-50 text-gray-700 rounded p-3 text-center">
                     <p className="text-lg font-bold">
                       {statusCounts[interview.id]?.["Not Started"] || 0}
@@ -284,7 +327,33 @@ const InterviewCard = () => {
                 </motion.div>
 
                 {/* Actions */}
-                <div className="flex justify-end gap-3 mt-4">
+                <div className="flex flex-wrap justify-end gap-3 mt-4">
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => handleExport(interview, "csv")}
+                    disabled={exporting !== null}
+                    className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200 cursor-pointer disabled:opacity-50"
+                  >
+                    {exporting === `${interview.id}:csv` ? "Exporting..." : "Export CSV"}
+                  </motion.button>
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => handleExport(interview, "pdf")}
+                    disabled={exporting !== null}
+                    className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200 cursor-pointer disabled:opacity-50"
+                  >
+                    {exporting === `${interview.id}:pdf` ? "Exporting..." : "Export PDF"}
+                  </motion.button>
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => setDuplicating(interview)}
+                    className="px-3 py-1 text-sm bg-gray-100 text-gray-800 rounded hover:bg-gray-200 cursor-pointer"
+                  >
+                    Duplicate
+                  </motion.button>
                   <motion.button
                     whileHover={{ scale: 1.05 }}
                     whileTap={{ scale: 0.95 }}
@@ -322,6 +391,17 @@ const InterviewCard = () => {
             />
         )}
 
+      {/* Duplicate Interview Modal */}
+      {duplicating && (
+        <InterviewDuplicate
+          key={duplicating.id}
+          interview={duplicating}
+          questionCount={questionCounts[duplicating.id] || 0}
+          onClose={() => setDuplicating(null)}
+          onDuplicate={handleDuplicate}
+        />
+      )}
+
     </motion.div>
   );
 };
@@ -0,0 +1,89 @@
+import { useState } from "react";
+import { interviewInputSchema, validateForm } from "../../services/schemas";
+
+// Only the title is entered when duplicating
+const titleSchema = interviewInputSchema.pick({ title: true });
+
+/**
+ * InterviewDuplicate Component
+ *
+ * A modal asking for the title of a copy of an interview.
+ * The copy is a Draft interview with the same questions; applicants are not copied.
+ *
+ * Props:
+ * - interview: object | null → the interview to copy (the modal is closed when null)
+ * - questionCount: number → how many questions will be copied
+ * - onClose: () => void → closes modal
+ * - onDuplicate: (title) => Promise<void> → creates the copy
+*/
+export default function InterviewDuplicate({ interview, questionCount, onClose, onDuplicate }) {
+  const [title, setTitle] = useState(interview ? `${interview.title} (copy)` : "");
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  if (!interview) return null;
+
+  /**
+   * Check the title, then create the copy.
+  */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { data, errors } = validateForm(titleSchema, { title });
+    if (!data) {
+      setError(errors.title);
+      return;
+    }
+    setSaving(true);
+    try {
+      await onDuplicate(data.title);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black/50 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md shadow-lg">
+        <h2 className="text-lg font-semibold mb-1">Duplicate Interview</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Creates a Draft copy of "{interview.title}" with its {questionCount} questions.
+          Applicants are not copied.
+        </p>
+
+        <form onSubmit={handleSubmit} noValidate className="space-y-4">
+          <div>
+            <input
+              type="text"
+              value={title}
+              onChange={(e) => {
+                setTitle(e.target.value);
+                setError(null);
+              }}
+              placeholder="Title"
+              autoFocus
+              className="w-full border rounded px-3 py-2"
+            />
+            {error && <p className="text-sm text-red-600 mt-1">{error}</p>}
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 cursor-pointer"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer disabled:opacity-50"
+            >
+              {saving ? "Duplicating..." : "Duplicate"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,7 @@
 import { useState, useEffect } from "react";
+import toast from "react-hot-toast";
+import { draftInterview, DIFFICULTIES, MAX_AI_QUESTIONS } from "../Ai/AiHelper";
+import { interviewInputSchema, validateForm } from "../../services/schemas";
 
 /**
  * InterviewForm Component
@@ -6,13 +9,18 @@ import { useState, useEffect } from "react";
  * A modal form used to create or edit an interview.
  * Features:
  * - Fields for title, job role, description, and status
+ * - Optional overall time limit (minutes) for answering the questions
+ * - Checks the fields and shows an error under each invalid one
  * - Pre-fills fields when editing (via `initialData`)
+ * - "Draft with AI" mode: drafts the title, job role, description and questions
+ *   from a pasted job ad, to review and save as a Draft interview
  * - Calls `onSave` with form data on submit
  *
  * Props:
  * - isOpen: boolean → controls visibility of modal
  * - onClose: () => void → closes modal
- * - onSave: (formData) => void → handles saving interview data
+ * - onSave: (formData, questions) => void → handles saving interview data
+ *   (`questions` is the reviewed AI question set, empty when not drafting with AI)
  * - initialData: object | null → existing interview data for editing
 */
 export default function InterviewForm({ isOpen, onClose, onSave, initialData }) {
@@ -22,6 +30,13 @@ export default function InterviewForm({ isOpen, onClose, onSave, initialData })
     description: "",
     status: "Draft",
   });
+  const [aiMode, setAiMode] = useState(false);
+  const [source, setSource] = useState(""); // job ad or title to draft from
+  const [questionCount, setQuestionCount] = useState(5);
+  const [drafting, setDrafting] = useState(false);
+  const [drafted, setDrafted] = useState(false);
+  const [questions, setQuestions] = useState([]); // { text, difficulty }
+  const [errors, setErrors] = useState({}); // field name → error message
 
   /**
    * Populate form with initialData when editing.
@@ -30,6 +45,7 @@ export default function InterviewForm({ isOpen, onClose, onSave, initialData })
     if (initialData) {
       setFormData(initialData);
     }
+    setErrors({});
   }, [initialData]);
 
    //Do not render modal if closed
@@ -41,62 +57,262 @@ export default function InterviewForm({ isOpen, onClose, onSave, initialData })
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  /**
+   * Ask the AI server for a draft interview and fill the form with it.
+  */
+  const handleDraft = async () => {
+    if (source.trim().length < 3) {
+      toast.error("Paste a job ad or enter an interview title first.");
+      return;
+    }
+
+    try {
+      setDrafting(true);
+      const draft = await draftInterview(source, { count: questionCount });
+      setFormData((prev) => ({
+        ...prev,
+        title: draft.title,
+        job_role: draft.job_role,
+        description: draft.description,
+        status: "Draft",
+      }));
+      setQuestions(draft.questions);
+      setDrafted(true);
+      toast.success("Interview drafted. Review it before saving.");
+    } catch (err) {
+      console.error("AI drafting failed", err);
+      toast.error(err.status === 429 ? err.message : "AI drafting failed. Try again.");
+    } finally {
+      setDrafting(false);
+    }
+  };
+
+  /**
+   * Edit, add or remove a drafted question.
+  */
+  const handleQuestionChange = (index, field, value) => {
+    setQuestions((prev) => prev.map((q, i) => (i === index ? { ...q, [field]: value } : q)));
+  };
+
+  const handleQuestionRemove = (index) => {
+    setQuestions((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleQuestionAdd = () => {
+    setQuestions((prev) => [...prev, { text: "", difficulty: "Intermediate" }]);
   };
 
   /**
    * Submit form and call onSave with form data.
+   * An AI draft is always saved as a Draft interview, with its questions.
+   * An empty time limit is saved as no limit.
   */
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSave(formData);
+    const { data, errors: fieldErrors } = validateForm(interviewInputSchema, formData);
+    if (!data) {
+      setErrors(fieldErrors);
+      return;
+    }
+    if (!aiMode) {
+      onSave(data, []);
+      return;
+    }
+    if (questions.some((q) => !q.text.trim())) {
+      toast.error("Questions cannot be empty. Remove any you don't need.");
+      return;
+    }
+    onSave(
+      { ...data, status: "Draft" },
+      questions.map((q) => ({ ...q, text: q.text.trim() }))
+    );
   };
 
+  // Interview fields are shown once there is something to review
+  const showFields = !aiMode || drafted;
+
   return (
     <div className="fixed inset-0 flex items-center justify-center bg-black/50 bg-opacity-40 z-50">
-      <div className="bg-white rounded-lg p-6 w-full max-w-md shadow-lg max-h-[80vh] overflow-y-auto">
+      <div
+        className={`bg-white rounded-lg p-6 w-full shadow-lg max-h-[80vh] overflow-y-auto ${
+          aiMode ? "max-w-2xl" : "max-w-md"
+        }`}
+      >
         <h2 className="text-lg font-semibold mb-4">
           {initialData ? "Edit Interview" : "Add Interview"}
         </h2>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <input
-            type="text"
-            name="title"
-            placeholder="Title"
-            value={formData.title}
-            onChange={handleChange}
-            required
-            className="w-full border rounded px-3 py-2"
-          />
-
-          <input
-            type="text"
-            name="job_role"
-            placeholder="Job Role"
-            value={formData.job_role}
-            onChange={handleChange}
-            required
-            className="w-full border rounded px-3 py-2"
-          />
-
-          <textarea
-            name="description"
-            placeholder="Description"
-            value={formData.description}
-            onChange={handleChange}
-            required
-            className="w-full border rounded px-3 py-2"
-          />
-
-          <select
-            name="status"
-            value={formData.status}
-            onChange={handleChange}
-            className="w-full border rounded px-3 py-2"
-          >
-            <option value="Draft">Draft</option>
-            <option value="Published">Published</option>
-          </select>
+        {/* Mode switch (new interviews only) */}
+        {!initialData && (
+          <div className="flex gap-2 mb-4">
+            <button
+              type="button"
+              onClick={() => setAiMode(false)}
+              className={`flex-1 px-4 py-2 rounded cursor-pointer ${
+                !aiMode ? "bg-indigo-600 text-white" : "bg-gray-100 hover:bg-gray-200"
+              }`}
+            >
+              Manual
+            </button>
+            <button
+              type="button"
+              onClick={() => setAiMode(true)}
+              className={`flex-1 px-4 py-2 rounded cursor-pointer ${
+                aiMode ? "bg-indigo-600 text-white" : "bg-gray-100 hover:bg-gray-200"
+              }`}
+            >
+              🤖 Draft with AI
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} noValidate className="space-y-4">
+          {aiMode && (
+            <div className="space-y-2 p-3 border rounded bg-gray-50">
+              <textarea
+                value={source}
+                onChange={(e) => setSource(e.target.value)}
+                placeholder="Paste a job ad, or type an interview title"
+                rows={6}
+                className="w-full border rounded px-3 py-2 bg-white"
+              />
+              <div className="flex items-center gap-3">
+                <label className="text-sm text-gray-600 flex items-center gap-2">
+                  Questions
+                  <input
+                    type="number"
+                    min={1}
+                    max={MAX_AI_QUESTIONS}
+                    value={questionCount}
+                    onChange={(e) => setQuestionCount(Number(e.target.value) || 1)}
+                    className="w-16 border rounded px-2 py-1 bg-white"
+                  />
+                </label>
+                <button
+                  type="button"
+                  onClick={handleDraft}
+                  disabled={drafting}
+                  className="flex-1 px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 cursor-pointer disabled:cursor-wait"
+                >
+                  {drafting ? "Drafting..." : drafted ? "Draft again" : "Draft with AI"}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {showFields && (
+            <>
+              <div>
+                <input
+                  type="text"
+                  name="title"
+                  placeholder="Title"
+                  value={formData.title}
+                  onChange={handleChange}
+                  required
+                  className="w-full border rounded px-3 py-2"
+                />
+                {errors.title && <p className="text-sm text-red-600 mt-1">{errors.title}</p>}
+              </div>
+
+              <div>
+                <input
+                  type="text"
+                  name="job_role"
+                  placeholder="Job Role"
+                  value={formData.job_role}
+                  onChange={handleChange}
+                  required
+                  className="w-full border rounded px-3 py-2"
+                />
+                {errors.job_role && <p className="text-sm text-red-600 mt-1">{errors.job_role}</p>}
+              </div>
+
+              <div>
+                <textarea
+                  name="description"
+                  placeholder="Description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  required
+                  className="w-full border rounded px-3 py-2"
+                />
+                {errors.description && <p className="text-sm text-red-600 mt-1">{errors.description}</p>}
+              </div>
+
+              <label className="block text-sm text-gray-600">
+                Time limit for the whole interview (minutes, optional)
+                <input
+                  type="number"
+                  name="time_limit_minutes"
+                  min={1}
+                  value={formData.time_limit_minutes ?? ""}
+                  onChange={handleChange}
+                  placeholder="No limit"
+                  className="w-full border rounded px-3 py-2 mt-1"
+                />
+                {errors.time_limit_minutes && <p className="text-sm text-red-600 mt-1">{errors.time_limit_minutes}</p>}
+              </label>
+
+              {aiMode ? (
+                <p className="text-sm text-gray-500">Saved as a Draft interview.</p>
+              ) : (
+                <select
+                  name="status"
+                  value={formData.status}
+                  onChange={handleChange}
+                  className="w-full border rounded px-3 py-2"
+                >
+                  <option value="Draft">Draft</option>
+                  <option value="Published">Published</option>
+                </select>
+              )}
+            </>
+          )}
+
+          {/* Drafted questions */}
+          {aiMode && drafted && (
+            <div className="space-y-2">
+              <h3 className="font-medium text-gray-800">Questions ({questions.length})</h3>
+              {questions.map((q, index) => (
+                <div key={index} className="flex gap-2 items-start">
+                  <span className="text-sm font-semibold text-indigo-600 w-6 mt-2">{index + 1}.</span>
+                  <textarea
+                    value={q.text}
+                    onChange={(e) => handleQuestionChange(index, "text", e.target.value)}
+                    rows={2}
+                    className="flex-1 border rounded px-2 py-1 text-sm"
+                  />
+                  <select
+                    value={q.difficulty}
+                    onChange={(e) => handleQuestionChange(index, "difficulty", e.target.value)}
+                    className="border rounded px-1 py-1 text-sm"
+                  >
+                    {DIFFICULTIES.map((d) => (
+                      <option key={d}>{d}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => handleQuestionRemove(index)}
+                    className="px-2 py-1 text-sm text-red-600 hover:bg-red-50 rounded cursor-pointer"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={handleQuestionAdd}
+                className="text-sm text-indigo-600 hover:underline cursor-pointer"
+              >
+                + Add question
+              </button>
+            </div>
+          )}
 
           <div className="flex justify-end gap-2">
             <button
@@ -108,7 +324,8 @@ export default function InterviewForm({ isOpen, onClose, onSave, initialData })
             </button>
             <button
               type="submit"
-              className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer"
+              disabled={!showFields}
+              className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer disabled:opacity-50"
             >
               {initialData ? "Update" : "Create"}
             </button>
@@ -0,0 +1,294 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import {
+  createLibraryQuestion,
+  updateLibraryQuestion,
+  deleteLibraryQuestion,
+  getLibraryQuestionUses,
+  syncLibraryQuestion,
+} from "../../services/api";
+import {
+  useLibraryQuestions,
+  useAllQuestions,
+  EMPTY_LIBRARY_FILTERS,
+  saveEntities,
+  removeEntity,
+  invalidate,
+} from "../../services/store";
+import LibraryFilters from "./LibraryFilters";
+import LibraryForm from "./LibraryForm";
+
+/**
+ * LibraryCard Component
+ *
+ * The question bank: reusable questions that can be added to many interviews
+ * (from the Add Question form).
+ *
+ * Features:
+ * - Full-text search, with category, seniority and skill tag filters (click a tag to filter by it)
+ * - Fetches entries a page at a time
+ * - Shows how many interviews use each entry
+ * - Provides add/edit/delete functionality
+ * - After editing an entry that interviews use, offers to update their copies too
+*/
+const LibraryCard = () => {
+  const [filters, setFilters] = useState(EMPTY_LIBRARY_FILTERS);
+  const [formOpen, setFormOpen] = useState(false);
+  const [editingEntry, setEditingEntry] = useState(null);
+  const [syncPrompt, setSyncPrompt] = useState(null); // { entry, questions, interviews } to update
+  const [syncing, setSyncing] = useState(false);
+
+  const { rows: entries, total, loading, error, hasMore, loadingMore, loadMore } =
+    useLibraryQuestions(filters);
+
+  // Interviews using each entry, from the cached question list
+  const { rows: questions } = useAllQuestions();
+  const interviewsUsing = {};
+  questions.forEach((q) => {
+    if (q.library_question_id == null) return;
+    const ids = (interviewsUsing[q.library_question_id] ||= new Set());
+    ids.add(String(q.interview_id));
+  });
+
+  useEffect(() => {
+    if (error) toast.error("Failed to load the question bank");
+  }, [error]);
+
+  /**
+   * Add a skill tag to the filters.
+  */
+  const handleTagClick = (tag) => {
+    if (!filters.tags.includes(tag)) {
+      setFilters((prev) => ({ ...prev, tags: [...prev.tags, tag] }));
+    }
+  };
+
+  /**
+   * Saves a new or updated entry.
+   * When the question text or difficulty of an entry in use changes,
+   * asks whether to update the interviews using it.
+   * @param data - Checked form data
+  */
+  const handleSave = async (data) => {
+    try {
+      if (editingEntry) {
+        const [updated] = await updateLibraryQuestion(editingEntry.id, data);
+        saveEntities("library_question", [updated]);
+        toast.success("Library question updated");
+
+        const changed =
+          updated.question !== editingEntry.question || updated.difficulty !== editingEntry.difficulty;
+        const uses = changed ? await getLibraryQuestionUses(updated.id) : [];
+        if (uses.length > 0) {
+          setSyncPrompt({
+            entry: updated,
+            questions: uses.length,
+            interviews: new Set(uses.map((q) => String(q.interview_id))).size,
+          });
+        }
+      } else {
+        const created = await createLibraryQuestion(data);
+        saveEntities("library_question", created);
+        toast.success("Library question added");
+      }
+      setFormOpen(false);
+      setEditingEntry(null);
+    } catch {
+      toast.error("Error saving library question");
+    }
+  };
+
+  /**
+   * Copies the edited entry to every interview question created from it.
+  */
+  const handleSync = async () => {
+    setSyncing(true);
+    try {
+      const updated = await syncLibraryQuestion(syncPrompt.entry);
+      saveEntities("question", updated);
+      toast.success(`Updated ${updated.length} interview questions`);
+      setSyncPrompt(null);
+    } catch {
+      toast.error("Error updating interviews");
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  /**
+   * Deletes an entry. Interviews keep the questions added from it.
+   * @param id - ID of the entry to delete
+  */
+  const handleDelete = async (id) => {
+    try {
+      await deleteLibraryQuestion(id);
+      removeEntity("library_question", id);
+      // the interview questions are unlinked from the deleted entry
+      invalidate("question");
+      toast.success("Library question deleted");
+    } catch {
+      toast.error("Error deleting library question");
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-6 py-8 mt-10">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row justify-between items-center mb-4 gap-4">
+        <h1 className="text-2xl font-bold text-gray-800">Question Bank</h1>
+        <button
+          onClick={() => {
+            setEditingEntry(null);
+            setFormOpen(true);
+          }}
+          className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 cursor-pointer"
+        >
+          Add Library Question
+        </button>
+      </div>
+
+      <div className="mb-6">
+        <LibraryFilters filters={filters} onChange={setFilters} />
+      </div>
+
+      {loading ? (
+        <p className="text-gray-500 text-center mt-8 animate-pulse">
+          Loading question bank...
+        </p>
+      ) : entries.length === 0 ? (
+        <p className="text-gray-500">No library questions match your search.</p>
+      ) : (
+        <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
+          {entries.map((entry) => {
+            const used = interviewsUsing[entry.id]?.size || 0;
+            return (
+              <div
+                key={entry.id}
+                className="bg-white shadow rounded-xl p-6 hover:shadow-lg transition flex flex-col"
+              >
+                <h2 className="text-lg font-semibold text-gray-800">{entry.question}</h2>
+
+                <p className="text-sm mt-2 text-gray-600">
+                  <span
+                    className={`font-medium ${
+                      entry.difficulty === "Easy"
+                        ? "text-green-600"
+                        : entry.difficulty === "Intermediate"
+                        ? "text-yellow-600"
+                        : "text-red-600"
+                    }`}
+                  >
+                    {entry.difficulty}
+                  </span>
+                  {" · "}
+                  {entry.category}
+                  {entry.seniority && ` · ${entry.seniority}`}
+                </p>
+
+                {entry.tags?.length > 0 && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {entry.tags.map((tag) => (
+                      <button
+                        key={tag}
+                        onClick={() => handleTagClick(tag)}
+                        className="px-2 py-0.5 text-xs bg-indigo-50 text-indigo-700 rounded-full hover:bg-indigo-100 cursor-pointer"
+                      >
+                        {tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                <p className="text-sm text-gray-500 mt-2">
+                  {used === 0 ? "Not used in any interview" : `Used in ${used} interview${used === 1 ? "" : "s"}`}
+                </p>
+
+                <div className="mt-auto pt-4 flex gap-2">
+                  <button
+                    onClick={() => {
+                      setEditingEntry(entry);
+                      setFormOpen(true);
+                    }}
+                    className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 cursor-pointer"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(entry.id)}
+                    className="px-3 py-1 text-sm bg-red-500 text-white rounded hover:bg-red-600 cursor-pointer"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {entries.length > 0 && (
+        <div className="flex flex-col items-center gap-3 mt-8">
+          <p className="text-sm text-gray-500">
+            Showing {entries.length} of {total} library questions
+          </p>
+          {hasMore && (
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="px-4 py-2 bg-gray-100 rounded hover:bg-gray-200 cursor-pointer"
+            >
+              {loadingMore ? "Loading..." : "Load more"}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Add/Edit Library Question Form */}
+      {formOpen && (
+        <LibraryForm
+          key={editingEntry?.id ?? "new"}
+          initialData={editingEntry}
+          onClose={() => {
+            setFormOpen(false);
+            setEditingEntry(null);
+          }}
+          onSave={handleSave}
+        />
+      )}
+
+      {/* Offer to update the interviews using an edited entry */}
+      {syncPrompt && (
+        <div className="fixed inset-0 flex items-center justify-center bg-black/50 z-50">
+          <div className="bg-white rounded-lg p-6 w-full max-w-md shadow-lg">
+            <h2 className="text-lg font-semibold mb-2">Update interviews?</h2>
+            <p className="text-sm text-gray-600">
+              This question is used in {syncPrompt.interviews} interview
+              {syncPrompt.interviews === 1 ? "" : "s"}. Update{" "}
+              {syncPrompt.questions === 1 ? "its copy" : `all ${syncPrompt.questions} copies`} to the
+              new text and difficulty? Answers already given are kept.
+            </p>
+            <div className="flex justify-end gap-2 mt-6">
+              <button
+                onClick={() => setSyncPrompt(null)}
+                disabled={syncing}
+                className="px-4 py-2 bg-gray-200 rounded hover:bg-gray-300 cursor-pointer"
+              >
+                Only the library
+              </button>
+              <button
+                onClick={handleSync}
+                disabled={syncing}
+                className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer disabled:opacity-50"
+              >
+                {syncing ? "Updating..." : "Update interviews"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LibraryCard;
@@ -0,0 +1,84 @@
+import { useEffect, useState } from "react";
+import { LIBRARY_CATEGORIES, SENIORITIES } from "../../services/schemas";
+
+// Wait this long after typing stops before searching (ms)
+const SEARCH_DELAY = 300;
+
+// Tags typed as comma separated text, lower case and without repeats
+function parseTags(text) {
+  return [...new Set(text.split(",").map((t) => t.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * LibraryFilters Component
+ *
+ * Search box and filters for the question bank:
+ * - Full-text search of the question text
+ * - Category (Technical / Behavioural) and seniority
+ * - Skill tags (comma separated, every tag must match)
+ * Typing is applied once it pauses; the dropdowns apply straight away.
+ *
+ * Props:
+ * - filters: { search, category, seniority, tags } → the applied filters
+ * - onChange: (filters) => void → called with the new filters
+*/
+export default function LibraryFilters({ filters, onChange }) {
+  const [search, setSearch] = useState(filters.search);
+  const [tagText, setTagText] = useState(filters.tags.join(", "));
+
+  // Show tags added from outside (e.g. by clicking a tag)
+  const tagKey = filters.tags.join(",");
+  const [shownTagKey, setShownTagKey] = useState(tagKey);
+  if (tagKey !== shownTagKey) {
+    setShownTagKey(tagKey);
+    if (parseTags(tagText).join(",") !== tagKey) setTagText(filters.tags.join(", "));
+  }
+
+  // Apply the typed search and tags once typing pauses
+  useEffect(() => {
+    const tags = parseTags(tagText);
+    if (search === filters.search && tags.join(",") === tagKey) return;
+
+    const timer = setTimeout(() => onChange({ ...filters, search, tags }), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [search, tagText, tagKey, filters, onChange]);
+
+  return (
+    <div className="flex flex-col md:flex-row gap-2">
+      <input
+        type="search"
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search questions"
+        className="flex-1 border rounded px-3 py-2"
+      />
+      <select
+        value={filters.category}
+        onChange={(e) => onChange({ ...filters, category: e.target.value })}
+        className="border rounded px-3 py-2"
+      >
+        <option value="">All categories</option>
+        {LIBRARY_CATEGORIES.map((c) => (
+          <option key={c}>{c}</option>
+        ))}
+      </select>
+      <select
+        value={filters.seniority}
+        onChange={(e) => onChange({ ...filters, seniority: e.target.value })}
+        className="border rounded px-3 py-2"
+      >
+        <option value="">Any seniority</option>
+        {SENIORITIES.map((s) => (
+          <option key={s}>{s}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        value={tagText}
+        onChange={(e) => setTagText(e.target.value)}
+        placeholder="Tags, e.g. react, sql"
+        className="md:w-48 border rounded px-3 py-2"
+      />
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import { useState } from "react";
+import {
+  DIFFICULTIES,
+  LIBRARY_CATEGORIES,
+  SENIORITIES,
+  libraryQuestionInputSchema,
+  validateForm,
+} from "../../services/schemas";
+
+/**
+ * LibraryForm Component
+ *
+ * A modal form used to add or edit a question bank entry.
+ * Features:
+ * - Question text and difficulty (copied to the interviews the entry is added to)
+ * - Category (Technical / Behavioural), optional seniority and comma separated skill tags
+ * - Checks the fields and shows an error under each invalid one
+ *
+ * Props:
+ * - initialData: object | null → existing entry when editing
+ * - onClose: () => void → closes modal
+ * - onSave: (data) => Promise<void> → saves the checked entry
+*/
+export default function LibraryForm({ initialData, onClose, onSave }) {
+  const [formData, setFormData] = useState(
+    initialData
+      ? { ...initialData, seniority: initialData.seniority ?? "", tags: (initialData.tags || []).join(", ") }
+      : { question: "", difficulty: "Intermediate", category: "Technical", seniority: "", tags: "" }
+  );
+  const [errors, setErrors] = useState({}); // field name → error message
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Handle input changes for controlled fields.
+  */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  /**
+   * Validate and submit form.
+  */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { data, errors: fieldErrors } = validateForm(libraryQuestionInputSchema, formData);
+    if (!data) {
+      setErrors(fieldErrors);
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave(data);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black/50 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md shadow-lg max-h-[80vh] overflow-y-auto">
+        <h2 className="text-xl font-bold mb-4">
+          {initialData ? "Edit Library Question" : "Add Library Question"}
+        </h2>
+
+        <form onSubmit={handleSubmit} noValidate className="space-y-4">
+          <div>
+            <textarea
+              name="question"
+              value={formData.question}
+              onChange={handleChange}
+              className="w-full border rounded px-3 py-2"
+              placeholder="Enter question"
+              rows={3}
+            />
+            {errors.question && <p className="text-sm text-red-600 mt-1">{errors.question}</p>}
+          </div>
+
+          <div className="flex gap-2">
+            <select
+              name="difficulty"
+              value={formData.difficulty}
+              onChange={handleChange}
+              className="flex-1 border rounded px-3 py-2"
+            >
+              {DIFFICULTIES.map((d) => (
+                <option key={d}>{d}</option>
+              ))}
+            </select>
+            <select
+              name="category"
+              value={formData.category}
+              onChange={handleChange}
+              className="flex-1 border rounded px-3 py-2"
+            >
+              {LIBRARY_CATEGORIES.map((c) => (
+                <option key={c}>{c}</option>
+              ))}
+            </select>
+            <select
+              name="seniority"
+              value={formData.seniority}
+              onChange={handleChange}
+              className="flex-1 border rounded px-3 py-2"
+            >
+              <option value="">Any seniority</option>
+              {SENIORITIES.map((s) => (
+                <option key={s}>{s}</option>
+              ))}
+            </select>
+          </div>
+          {errors.category && <p className="text-sm text-red-600">{errors.category}</p>}
+
+          <div>
+            <input
+              type="text"
+              name="tags"
+              value={formData.tags}
+              onChange={handleChange}
+              placeholder="Skill tags, comma separated (e.g. react, testing)"
+              className="w-full border rounded px-3 py-2"
+            />
+            {errors.tags && <p className="text-sm text-red-600 mt-1">{errors.tags}</p>}
+          </div>
+
+          <div className="flex justify-end gap-3 mt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400 cursor-pointer"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Save"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
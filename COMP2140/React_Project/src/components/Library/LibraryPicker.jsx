@@ -0,0 +1,162 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { getLibraryQuestionUses } from "../../services/api";
+import { useLibraryQuestions, EMPTY_LIBRARY_FILTERS } from "../../services/store";
+import LibraryFilters from "./LibraryFilters";
+
+/**
+ * LibraryPicker Component
+ *
+ * Adds a question bank entry to one or more interviews:
+ * 1. Search the question bank and choose an entry
+ * 2. Tick the interviews to add it to (interviews already using it can't be ticked)
+ *
+ * Props:
+ * - interviews: object → map of interviews by id
+ * - initialInterviewId: string → interview ticked to begin with, if any
+ * - onAttach: (entry, interviewIds) => Promise<void> → adds the entry to the interviews
+ * - onCancel: () => void → closes the form
+*/
+export default function LibraryPicker({ interviews, initialInterviewId, onAttach, onCancel }) {
+  const [filters, setFilters] = useState(EMPTY_LIBRARY_FILTERS);
+  const [entry, setEntry] = useState(null); // chosen entry
+  const [usedBy, setUsedBy] = useState(new Set()); // interview ids already using the entry
+  const [interviewIds, setInterviewIds] = useState(
+    initialInterviewId ? [String(initialInterviewId)] : []
+  );
+  const [saving, setSaving] = useState(false);
+
+  const { rows: entries, loading, error, hasMore, loadingMore, loadMore } =
+    useLibraryQuestions(filters, { pageSize: 10 });
+
+  useEffect(() => {
+    if (error) toast.error("Failed to load the question bank");
+  }, [error]);
+
+  // Find the interviews already using the chosen entry
+  useEffect(() => {
+    if (!entry) return;
+    let cancelled = false;
+    getLibraryQuestionUses(entry.id)
+      .then((uses) => {
+        if (cancelled) return;
+        const ids = new Set(uses.map((q) => String(q.interview_id)));
+        setUsedBy(ids);
+        setInterviewIds((prev) => prev.filter((id) => !ids.has(id)));
+      })
+      .catch(() => {
+        if (!cancelled) setUsedBy(new Set());
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [entry]);
+
+  /**
+   * Tick or untick an interview.
+  */
+  const handleToggle = (id) => {
+    setInterviewIds((prev) => (prev.includes(id) ? prev.filter((i) => i !== id) : [...prev, id]));
+  };
+
+  /**
+   * Add the chosen entry to the ticked interviews.
+  */
+  const handleAttach = async () => {
+    setSaving(true);
+    try {
+      await onAttach(entry, interviewIds);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <LibraryFilters filters={filters} onChange={setFilters} />
+
+      {/* Matching entries */}
+      <div className="border rounded max-h-60 overflow-y-auto divide-y">
+        {loading ? (
+          <p className="p-3 text-sm text-gray-500 animate-pulse">Searching...</p>
+        ) : entries.length === 0 ? (
+          <p className="p-3 text-sm text-gray-500">No library questions match your search.</p>
+        ) : (
+          entries.map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setEntry(option)}
+              className={`block w-full text-left p-3 text-sm cursor-pointer ${
+                entry?.id === option.id ? "bg-indigo-50" : "hover:bg-gray-50"
+              }`}
+            >
+              <span className="text-gray-800">{option.question}</span>
+              <span className="block text-xs text-gray-500 mt-1">
+                {[option.difficulty, option.category, option.seniority, ...(option.tags || [])]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </span>
+            </button>
+          ))
+        )}
+        {hasMore && (
+          <button
+            type="button"
+            onClick={loadMore}
+            disabled={loadingMore}
+            className="block w-full p-2 text-sm text-indigo-600 hover:bg-gray-50 cursor-pointer"
+          >
+            {loadingMore ? "Loading..." : "Load more"}
+          </button>
+        )}
+      </div>
+
+      {/* Interviews to add the chosen entry to */}
+      {entry && (
+        <div className="space-y-1">
+          <p className="text-sm font-medium text-gray-700">Add to interviews</p>
+          {Object.values(interviews).map((i) => {
+            const id = String(i.id);
+            const used = usedBy.has(id);
+            return (
+              <label
+                key={id}
+                className={`flex items-center gap-2 text-sm ${used ? "text-gray-400" : "text-gray-700"}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={used || interviewIds.includes(id)}
+                  disabled={used}
+                  onChange={() => handleToggle(id)}
+                />
+                {i.title}
+                {used && <span className="text-xs">(already added)</span>}
+              </label>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="flex justify-end gap-3 mt-4">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400 cursor-pointer"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleAttach}
+          disabled={!entry || interviewIds.length === 0 || saving}
+          className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer disabled:opacity-50"
+        >
+          {saving
+            ? "Adding..."
+            : `Add to ${interviewIds.length} interview${interviewIds.length === 1 ? "" : "s"}`}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -2,14 +2,37 @@ import { useEffect, useState } from "react";
 import { motion } from "framer-motion";
 import toast from "react-hot-toast";
 import {
-  getInterview,
-  getInterviews, 
-  getQuestions,
+  query,
   deleteQuestion,
   updateQuestion,
   createQuestion,
+  createQuestions,
+  attachLibraryQuestion,
 } from "../../services/api";
+import {
+  useCollection,
+  useInterviews,
+  saveEntities,
+  removeEntity,
+} from "../../services/store";
 import QuestionForm from "./QuestionForm";
+import QuestionOrder from "./QuestionOrder";
+
+// Number of questions fetched per page
+const PAGE_SIZE = 12;
+
+/**
+ * Build the question query for an interview filter.
+ * A single interview's questions are listed in the order they are asked.
+ * @param filter - "All", "Others" (interview no longer exists) or an interview id
+ * @param interviewIds - ids of every known interview, used by "Others"
+*/
+function questionQuery(filter, interviewIds) {
+  const q = query("question");
+  if (filter === "Others") return q.notIn("interview_id", interviewIds).order("id");
+  if (filter !== "All") return q.eq("interview_id", filter).order("sort_order").order("id");
+  return q.order("id");
+}
 
 /**
  * QuestionCard Component
@@ -18,57 +41,66 @@ import QuestionForm from "./QuestionForm";
  * editing, deletion, and creation capabilities.
  *
  * Features:
- * - Fetches questions and their associated interviews
- * - Allows filtering by interview
+ * - Fetches questions a page at a time, filtered by interview on the server
+ * - Reads interviews from the shared store (cached across screens)
  * - Provides add/edit/delete functionality
+ * - Adds several AI suggestions at once, shown optimistically while they save
+ * - Adds a question bank entry to several interviews at once
+ * - Reorders a single interview's questions (drag-and-drop in `QuestionOrder`)
  * - Animates question cards using Framer Motion
 */
 const QuestionCard = () => {
-  const [loading, setLoading] = useState(true);
-  const [questions, setQuestions] = useState([]);
-  const [interviews, setInterviews] = useState({});
   const [formOpen, setFormOpen] = useState(false);
   const [editingQuestion, setEditingQuestion] = useState(null);
   const [filter, setFilter] = useState("All");
+  const [reorderOpen, setReorderOpen] = useState(false);
+
+  // Every interview, mapped by id for fast lookup
+  const { rows: interviewRows, error: interviewError } = useInterviews();
+  const interviews = {};
+  interviewRows.forEach((i) => {
+    interviews[i.id] = i;
+  });
+
+  // Ordering is per interview, so it is only available when filtered to one
+  const selectedInterview = interviews[filter];
+
+  // "Others" needs every known interview id; other filters don't depend on them
+  const otherIds = filter === "Others" ? Object.keys(interviews).join(",") : "";
+
+  // The questions matching the filter, a page at a time
+  const {
+    rows: questions,
+    total,
+    loading,
+    error,
+    hasMore,
+    loadingMore,
+    loadMore,
+  } = useCollection(
+    `question:${filter}:${otherIds}`,
+    "question",
+    () => questionQuery(filter, otherIds ? otherIds.split(",") : []),
+    { pageSize: PAGE_SIZE }
+  );
 
-  /**
-   * Fetches questions and interviews on mount.
-   * Maps interview IDs to interview objects for fast lookup.
-  */
   useEffect(() => {
-    async function fetchData() {
-      try {
-        const [qData, iData] = await Promise.all([
-          getQuestions(),
-          getInterviews(),   // fetch all interviews
-        ]);
-        setQuestions(qData);
-
-        // Map interviews by ID
-        const interviewMap = {};
-        iData.forEach((i) => {
-          interviewMap[i.id] = i;
-        });
-        setInterviews(interviewMap);
+    if (interviewError) toast.error("Failed to load interviews");
+  }, [interviewError]);
 
-        setLoading(false);
-      } catch (err) {
-        toast.error("Failed to load questions or interviews");
-        setLoading(false);
-      }
-    }
-    fetchData();
-  }, []);
+  useEffect(() => {
+    if (error) toast.error("Failed to load questions");
+  }, [error]);
 
   /**
    * Deletes a question by ID.
-   * Updates local state after successful API call.
+   * Drops it from the shared store after successful API call.
    * @param id - ID of the question to delete
   */
   const handleDelete = async (id) => {
     try {
       await deleteQuestion(id);
-      setQuestions((prev) => prev.filter((i) => i.id !== id));
+      removeEntity("question", id);
       toast.success("Question deleted successfully");
     } catch {
       toast.error("Error deleting question");
@@ -87,29 +119,25 @@ const QuestionCard = () => {
   /**
    * Saves a new or updated question.
    * - If editing, updates the existing question.
-   * - If creating, adds a new question and fetches its interview if missing.
+   * - If creating, adds a new question to the current list if it matches the filter.
    * @param data - Form data for the question
   */
   const handleSave = async (data) => {
     try {
       if (editingQuestion) {
         const updated = await updateQuestion(editingQuestion.id, data);
-        setQuestions((prev) =>
-          prev.map((i) => (i.id === editingQuestion.id ? updated[0] : i))
-        );
+        saveEntities("question", updated);
         toast.success("Question updated");
       } else {
         const created = await createQuestion(data);
         const newQuestion = created[0];
-        setQuestions((prev) => [...prev, newQuestion]);
 
-        if (!interviews[newQuestion.interview_id]) {
-          const data = await getInterview(newQuestion.interview_id);
-          setInterviews((prev) => ({
-            ...prev,
-            [newQuestion.interview_id]: data[0],
-          }));
-        }
+        // only show it straight away if it belongs to the current filter
+        const matchesFilter =
+          filter === "All" || String(newQuestion.interview_id) === filter;
+        saveEntities("question", created, {
+          appendTo: matchesFilter ? [`question:${filter}:${otherIds}`] : [],
+        });
 
         toast.success("Question created");
       }
@@ -120,6 +148,74 @@ const QuestionCard = () => {
     }
   };
 
+  /**
+   * Inserts several questions with one request.
+   * They are shown straight away (marked pending) and replaced by the saved rows,
+   * or removed again if saving fails.
+   * @param newQuestions - Questions to insert, all for the same interview
+  */
+  const handleBulkSave = async (newQuestions) => {
+    const key = `question:${filter}:${otherIds}`;
+    const matchesFilter =
+      filter === "All" || String(newQuestions[0]?.interview_id) === filter;
+
+    const pendingRows = newQuestions.map((q, i) => ({
+      ...q,
+      id: `pending-${Date.now()}-${i}`,
+      pending: true,
+    }));
+    if (matchesFilter) {
+      saveEntities("question", pendingRows, { appendTo: [key], revalidate: false });
+    }
+    setFormOpen(false);
+
+    try {
+      const created = await createQuestions(newQuestions);
+      pendingRows.forEach((row) => removeEntity("question", row.id));
+      saveEntities("question", created, { appendTo: matchesFilter ? [key] : [] });
+      toast.success(`${created.length} questions added`);
+    } catch {
+      pendingRows.forEach((row) => removeEntity("question", row.id));
+      toast.error("Error adding questions");
+    }
+  };
+
+  /**
+   * Adds a question bank entry to several interviews with one request.
+   * @param entry - The question bank entry
+   * @param interviewIds - The interviews to add it to
+  */
+  const handleAttach = async (entry, interviewIds) => {
+    try {
+      const created = await attachLibraryQuestion(entry, interviewIds);
+
+      // only show straight away the ones belonging to the current filter
+      const shown = created.filter(
+        (q) => filter === "All" || String(q.interview_id) === filter
+      );
+      if (shown.length > 0) {
+        saveEntities("question", shown, {
+          appendTo: [`question:${filter}:${otherIds}`],
+          revalidate: false,
+        });
+      }
+      saveEntities("question", created);
+      toast.success(`Question added to ${created.length} interviews`);
+      setFormOpen(false);
+    } catch {
+      toast.error("Error adding library question");
+    }
+  };
+
+  /**
+   * Stores the reordered questions and closes the reorder modal.
+   * @param updated - Questions with their new sort_order
+  */
+  const handleOrderSaved = (updated) => {
+    saveEntities("question", updated);
+    setReorderOpen(false);
+  };
+
   // Framer Motion animation configs
   const container = {
     hidden: { opacity: 0 },
@@ -131,22 +227,6 @@ const QuestionCard = () => {
     show: { opacity: 1, y: 0, transition: { duration: 0.6, ease: "easeOut" } },
   };
 
-  if (loading) {
-    return (
-      <p className="text-gray-500 text-center mt-8 animate-pulse">
-        Loading questions...
-      </p>
-    );
-  }
-
-  //Filtering of data
-  const filteredQuestions = questions.filter((q) => {
-    const interview = interviews[q.interview_id];
-    if (filter === "All") return true;
-    if (filter === "Others") return !interview;
-    return interview && interview.title === filter;
-  });
-
   return (
     <div className="container mx-auto px-6 py-8 mt-10">
       {/* Header */}
@@ -165,7 +245,7 @@ const QuestionCard = () => {
           >
             <option value="All">All</option>
             {Object.values(interviews).map((i) => (
-              <option key={i.id} value={i.title}>
+              <option key={i.id} value={i.id}>
                 {i.title}
               </option>
             ))}
@@ -173,18 +253,32 @@ const QuestionCard = () => {
           </select>
         </div>
 
-        <button
-          onClick={() => {
-            setEditingQuestion(null);
-            setFormOpen(true);
-          }}
-          className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 cursor-pointer"
-        >
-          Add Question
-        </button>
+        <div className="flex gap-3">
+          {selectedInterview && (
+            <button
+              onClick={() => setReorderOpen(true)}
+              className="px-6 py-3 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 cursor-pointer"
+            >
+              Reorder
+            </button>
+          )}
+          <button
+            onClick={() => {
+              setEditingQuestion(null);
+              setFormOpen(true);
+            }}
+            className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 cursor-pointer"
+          >
+            Add Question
+          </button>
+        </div>
       </motion.div>
 
-      {filteredQuestions.length === 0 ? (
+      {loading ? (
+        <p className="text-gray-500 text-center mt-8 animate-pulse">
+          Loading questions...
+        </p>
+      ) : questions.length === 0 ? (
         <p className="text-gray-500">No questions match your filter.</p>
       ) : (
         <motion.div
@@ -193,16 +287,21 @@ const QuestionCard = () => {
           animate="show"
           className="grid gap-6 md:grid-cols-2 lg:grid-cols-3"
         >
-          {filteredQuestions.map((q) => {
+          {questions.map((q, index) => {
             const interview = interviews[q.interview_id];
             return (
               <motion.div
                 key={q.id}
                 variants={item}
                 whileHover={{ scale: 1.03 }}
-                className="bg-white shadow rounded-xl p-6 hover:shadow-lg transition"
+                className={`bg-white shadow rounded-xl p-6 hover:shadow-lg transition ${
+                  q.pending ? "opacity-60" : ""
+                }`}
               >
                 <h2 className="text-lg font-semibold text-gray-800">
+                  {selectedInterview && (
+                    <span className="text-indigo-600 mr-2">{index + 1}.</span>
+                  )}
                   {q.question}
                 </h2>
 
@@ -225,27 +324,52 @@ const QuestionCard = () => {
                 <p className="text-sm text-indigo-600 mt-2">
                   Interview: {interview ? interview.title : "Unknown"}
                 </p>
+                {q.library_question_id != null && (
+                  <p className="text-xs text-gray-500 mt-1">📚 From the question bank</p>
+                )}
 
-                <div className="mt-4 flex gap-2">
-                  <button
-                    onClick={() => handleEditClick(q)}
-                    className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 cursor-pointer"
-                  >
-                    Edit
-                  </button>
-                  <button
-                    onClick={() => handleDelete(q.id)}
-                    className="px-3 py-1 text-sm bg-red-500 text-white rounded hover:bg-red-600 cursor-pointer"
-                  >
-                    Delete
-                  </button>
-                </div>
+                {q.pending ? (
+                  <p className="mt-4 text-sm text-gray-500 animate-pulse">Saving...</p>
+                ) : (
+                  <div className="mt-4 flex gap-2">
+                    <button
+                      onClick={() => handleEditClick(q)}
+                      className="px-3 py-1 text-sm bg-blue-500 text-white rounded hover:bg-blue-600 cursor-pointer"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(q.id)}
+                      className="px-3 py-1 text-sm bg-red-500 text-white rounded hover:bg-red-600 cursor-pointer"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
               </motion.div>
             );
           })}
         </motion.div>
       )}
 
+      {/* Pagination */}
+      {questions.length > 0 && (
+        <div className="flex flex-col items-center gap-3 mt-8">
+          <p className="text-sm text-gray-500">
+            Showing {questions.length} of {total} questions
+          </p>
+          {hasMore && (
+            <button
+              onClick={loadMore}
+              disabled={loadingMore}
+              className="px-4 py-2 bg-gray-100 rounded hover:bg-gray-200 cursor-pointer"
+            >
+              {loadingMore ? "Loading..." : "Load more"}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Add/Edit Question Form */}
       <QuestionForm
         isOpen={formOpen}
@@ -254,9 +378,19 @@ const QuestionCard = () => {
           setEditingQuestion(null);
         }}
         onSave={handleSave}
+        onBulkSave={handleBulkSave}
+        onAttach={handleAttach}
         initialData={editingQuestion}
         interviews={interviews}
       />
+
+      {/* Reorder Questions Modal */}
+      <QuestionOrder
+        isOpen={reorderOpen}
+        interview={selectedInterview}
+        onClose={() => setReorderOpen(false)}
+        onSaved={handleOrderSaved}
+      />
     </div>
   );
 };
@@ -1,7 +1,24 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import { motion } from "framer-motion";
 import toast from "react-hot-toast";
-import { generateQuestions } from "../Ai/AiHelper";
+import {
+  streamQuestions,
+  questionCountFor,
+  DIFFICULTIES,
+  QUESTION_STYLES,
+  MAX_AI_QUESTIONS,
+} from "../Ai/AiHelper";
+import { questionInputSchema, validateForm } from "../../services/schemas";
+import LibraryPicker from "../Library/LibraryPicker";
+
+// Default AI generation options
+const DEFAULT_AI_OPTIONS = {
+  count: 5,
+  useMix: false,
+  mix: { Easy: 2, Intermediate: 2, Advanced: 1 },
+  style: "mixed",
+  avoid: "",
+};
 
 /**
  * QuestionForm Component
@@ -10,36 +27,54 @@ import { generateQuestions } from "../Ai/AiHelper";
  * Features:
  * - Select an interview for the question
  * - Enter the question text and difficulty
- * - Generate AI-based suggestions using interview role
+ * - Optional time limit (seconds) for answering the question
+ * - Checks the fields and shows an error under each invalid one
+ * - Generate AI-based suggestions using interview role, shown one by one as they stream in
+ * - Cancel AI generation mid-stream
+ * - Choose the number of AI questions, a difficulty mix, a question style and topics to avoid
  * - Apply AI suggestion with a single click
+ * - Edit AI suggestions inline and add every selected one at once
+ * - "From question bank" mode: add a library question to several interviews at once
  *
  * Props:
  * - isOpen: boolean → whether the modal is visible
  * - onClose: () => void → callback to close modal
  * - onSave: (formData) => void → callback when form is submitted
+ * - onBulkSave: (questions) => void → callback with the selected AI suggestions, ready to insert
+ * - onAttach: (entry, interviewIds) => Promise<void> → adds a question bank entry to interviews
  * - initialData: object | null → existing question data when editing
  * - interviews: object → map of interviews by id (for selection)
 */
-const QuestionForm = ({ isOpen, onClose, onSave, initialData, interviews }) => {
+const QuestionForm = ({ isOpen, onClose, onSave, onBulkSave, onAttach, initialData, interviews }) => {
   const [formData, setFormData] = useState(
     initialData || { question: "", difficulty: "Intermediate", interview_id: "" }
   );
   const [loadingAI, setLoadingAI] = useState(false);
-  const [aiSuggestions, setAiSuggestions] = useState([]);
+  const [aiSuggestions, setAiSuggestions] = useState([]); // { text, difficulty, selected }
+  const [aiOptions, setAiOptions] = useState(DEFAULT_AI_OPTIONS);
+  const generationRef = useRef(null); // AbortController of the running generation
+  const [errors, setErrors] = useState({}); // field name → error message
+  const [libraryMode, setLibraryMode] = useState(false);
 
   /**
    * Reset state whenever modal opens/closes or initialData changes.
    * - Resets formData when opening or editing
-   * - Clears AI suggestions when closing
+   * - Clears AI suggestions and stops any running generation when closing
   */
   useEffect(() => {
   if (isOpen) {
     setFormData(initialData || { question: "", difficulty: "Intermediate", interview_id: "" });
+    setErrors({});
+    setLibraryMode(false);
   } else {
+    generationRef.current?.abort();
     setAiSuggestions([]);
   }
 }, [isOpen, initialData]);
 
+  // Stop any running generation on unmount
+  useEffect(() => () => generationRef.current?.abort(), []);
+
 
   if (!isOpen) return null;
 
@@ -49,12 +84,31 @@ const QuestionForm = ({ isOpen, onClose, onSave, initialData, interviews }) => {
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
+    setErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  /**
+   * Handle changes to the AI generation options.
+   * Difficulty mix fields are named `mix.Easy`, `mix.Intermediate` and `mix.Advanced`.
+  */
+  const handleAiOptionChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setAiOptions((prev) => {
+      if (name.startsWith("mix.")) {
+        const difficulty = name.slice(4);
+        return { ...prev, mix: { ...prev.mix, [difficulty]: Math.max(0, Number(value) || 0) } };
+      }
+      if (type === "checkbox") return { ...prev, [name]: checked };
+      if (type === "number") return { ...prev, [name]: Number(value) || 0 };
+      return { ...prev, [name]: value };
+    });
   };
 
   /**
    * Generate AI question suggestions for the selected interview.
    * - Requires `interview_id` to be selected first
    * - Uses interview role as context
+   * - Suggestions are added as soon as the server sends them
   */
   const handleGenerate = async () => {
     if (!formData.interview_id) {
@@ -62,26 +116,96 @@ const QuestionForm = ({ isOpen, onClose, onSave, initialData, interviews }) => {
       return;
     }
 
+    const options = {
+      ...(aiOptions.useMix ? { mix: aiOptions.mix } : { count: aiOptions.count }),
+      style: aiOptions.style,
+      avoid: aiOptions.avoid.split(",").map((t) => t.trim()).filter(Boolean),
+    };
+    const count = questionCountFor(options);
+    if (count < 1 || count > MAX_AI_QUESTIONS) {
+      toast.error(`Ask for between 1 and ${MAX_AI_QUESTIONS} questions.`);
+      return;
+    }
+
+    const controller = new AbortController();
+    generationRef.current = controller;
+
     try {
       setLoadingAI(true);
+      setAiSuggestions([]);
 
       const interview = interviews[formData.interview_id];
       const role = interview?.job_role || "Software Engineer";
 
-      const aiResult = await generateQuestions(role);
+      const aiResult = await streamQuestions(role, options, {
+        signal: controller.signal,
+        onQuestion: (q) => setAiSuggestions((prev) => [...prev, { ...q, selected: true }]),
+      });
 
-      if (aiResult.questions?.length > 0) {
-        setAiSuggestions(aiResult.questions); // { text, difficulty }
+      if (aiResult.questions.length > 0) {
         toast.success("AI suggestions generated!");
       }
     } catch (err) {
+      if (controller.signal.aborted) {
+        toast("AI generation cancelled");
+        return;
+      }
       console.error("AI generation failed", err);
-      toast.error("AI generation failed. Try again.");
+      toast.error(err.status === 429 ? err.message : "AI generation failed. Try again.");
     } finally {
+      if (generationRef.current === controller) {
+        generationRef.current = null;
+      }
       setLoadingAI(false);
     }
   };
 
+  /**
+   * Stop the running AI generation, keeping the suggestions received so far.
+  */
+  const handleCancelGenerate = () => {
+    generationRef.current?.abort();
+  };
+
+  /**
+   * Edit one AI suggestion (its text, difficulty or whether it is selected).
+  */
+  const handleSuggestionChange = (index, field, value) => {
+    setAiSuggestions((prev) =>
+      prev.map((s, i) => (i === index ? { ...s, [field]: value } : s))
+    );
+  };
+
+  /**
+   * Select every AI suggestion, or none if they are all selected.
+  */
+  const handleToggleAll = () => {
+    const allSelected = aiSuggestions.every((s) => s.selected);
+    setAiSuggestions((prev) => prev.map((s) => ({ ...s, selected: !allSelected })));
+  };
+
+  /**
+   * Add every selected AI suggestion to the interview at once.
+  */
+  const handleAddSelected = () => {
+    const selected = aiSuggestions.filter((s) => s.selected);
+    if (!formData.interview_id) {
+      toast.error("Please select an interview before adding questions.");
+      return;
+    }
+    if (selected.some((s) => !s.text.trim())) {
+      toast.error("Selected questions cannot be empty.");
+      return;
+    }
+    onBulkSave(
+      selected.map((s) => ({
+        question: s.text.trim(),
+        difficulty: s.difficulty,
+        interview_id: formData.interview_id,
+      }))
+    );
+  };
+
   /**
   * Apply selected AI suggestion to form.
   */
@@ -97,119 +221,321 @@ const QuestionForm = ({ isOpen, onClose, onSave, initialData, interviews }) => {
   /**
    * Validate and submit form.
    * Ensures interview is selected and question is filled.
+   * An empty time limit is saved as no limit.
   */
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!formData.interview_id || !formData.question.trim()) {
-      toast.error("Please select an interview and enter a question.");
+    const { data, errors: fieldErrors } = validateForm(questionInputSchema, formData);
+    if (!data) {
+      setErrors(fieldErrors);
       return;
     }
-    onSave(formData);
+    onSave(data);
   };
 
   return (
     <div className="fixed inset-0 flex items-center justify-center bg-black/50 z-50" >
-      <div className="bg-white rounded-lg p-6 w-full max-w-md shadow-lg max-h-[80vh] overflow-y-auto">
+      <div
+        className={`bg-white rounded-lg p-6 w-full shadow-lg max-h-[80vh] overflow-y-auto ${
+          libraryMode ? "max-w-2xl" : "max-w-md"
+        }`}
+      >
         <h2 className="text-xl font-bold mb-4">
           {initialData ? "Edit Question" : "Add Question"}
         </h2>
 
-        <form onSubmit={handleSubmit} className="space-y-4">
-          {/* Interview selection */}
-          <select
-            name="interview_id"
-            value={formData.interview_id}
-            onChange={handleChange}
-            className="w-full border rounded px-3 py-2"
-          >
-            <option value="">-- Select Interview --</option>
-            {Object.values(interviews).map((i) => (
-              <option key={i.id} value={i.id}>
-                {i.title}
-              </option>
-            ))}
-          </select>
-
-          {/* Question input */}
-          <textarea
-            name="question"
-            value={formData.question}
-            onChange={handleChange}
-            className="w-full border rounded px-3 py-2"
-            placeholder="Enter question"
-            rows={3}
-          />
-
-          {/* Difficulty */}
-          <select
-            name="difficulty"
-            value={formData.difficulty}
-            onChange={handleChange}
-            className="w-full border rounded px-3 py-2"
-          >
-            <option>Easy</option>
-            <option>Intermediate</option>
-            <option>Advanced</option>
-          </select>
-
-          {/* AI Suggestions */}
-          <div className="space-y-2">
-            <motion.button
-              type="button"
-              onClick={handleGenerate}
-              whileHover={{ scale: 1.05 }}
-              whileTap={{ scale: 0.95 }}
-              disabled={loadingAI}
-              className="flex items-center gap-2 px-4 py-2 bg-gray-100 rounded hover:bg-gray-200 w-full cursor-pointer"
-            >
-              {loadingAI ? "Generating..." : "🤖 Generate Questions"}
-            </motion.button>
-
-            {aiSuggestions.length > 0 && (
-              <div className="grid gap-2 mt-3">
-                {aiSuggestions.map((s, idx) => (
-                  <motion.div
-                    key={idx}
-                    whileHover={{ scale: 1.03 }}
-                    whileTap={{ scale: 0.97 }}
-                    onClick={() => handleSuggestionClick(s)}
-                    className="p-3 border rounded cursor-pointer bg-gray-50 hover:bg-indigo-50"
-                  >
-                    <p className="text-sm text-gray-800">{s.text}</p>
-                    <p
-                      className={`text-xs font-medium mt-1 ${
-                        s.difficulty === "Easy"
-                          ? "text-green-600"
-                          : s.difficulty === "Intermediate"
-                          ? "text-yellow-600"
-                          : "text-red-600"
-                      }`}
-                    >
-                      {s.difficulty}
-                    </p>
-                  </motion.div>
-                ))}
-              </div>
-            )}
-          </div>
-
-          {/* Buttons row */}
-          <div className="flex justify-end gap-3 mt-4">
+        {/* Mode switch (new questions only) */}
+        {!initialData && onAttach && (
+          <div className="flex gap-2 mb-4">
             <button
               type="button"
-              onClick={onClose}
-              className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400 cursor-pointer"
+              onClick={() => setLibraryMode(false)}
+              className={`flex-1 px-4 py-2 rounded cursor-pointer ${
+                !libraryMode ? "bg-indigo-600 text-white" : "bg-gray-100 hover:bg-gray-200"
+              }`}
             >
-              Cancel
+              New question
             </button>
             <button
-              type="submit"
-              className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer"
+              type="button"
+              onClick={() => setLibraryMode(true)}
+              className={`flex-1 px-4 py-2 rounded cursor-pointer ${
+                libraryMode ? "bg-indigo-600 text-white" : "bg-gray-100 hover:bg-gray-200"
+              }`}
             >
-              Save
+              📚 From question bank
             </button>
           </div>
-        </form>
+        )}
+
+        {libraryMode ? (
+          <LibraryPicker
+            interviews={interviews}
+            initialInterviewId={formData.interview_id}
+            onAttach={onAttach}
+            onCancel={onClose}
+          />
+        ) : (
+          <form onSubmit={handleSubmit} noValidate className="space-y-4">
+            {initialData?.library_question_id != null && (
+              <p className="text-sm text-gray-500">
+                📚 From the question bank. Changes here only apply to this interview.
+              </p>
+            )}
+
+            {/* Interview selection */}
+            <div>
+              <select
+                name="interview_id"
+                value={formData.interview_id}
+                onChange={handleChange}
+                className="w-full border rounded px-3 py-2"
+              >
+                <option value="">-- Select Interview --</option>
+                {Object.values(interviews).map((i) => (
+                  <option key={i.id} value={i.id}>
+                    {i.title}
+                  </option>
+                ))}
+              </select>
+              {errors.interview_id && <p className="text-sm text-red-600 mt-1">{errors.interview_id}</p>}
+            </div>
+
+            {/* Question input */}
+            <div>
+              <textarea
+                name="question"
+                value={formData.question}
+                onChange={handleChange}
+                className="w-full border rounded px-3 py-2"
+                placeholder="Enter question"
+                rows={3}
+              />
+              {errors.question && <p className="text-sm text-red-600 mt-1">{errors.question}</p>}
+            </div>
+
+            {/* Difficulty */}
+            <select
+              name="difficulty"
+              value={formData.difficulty}
+              onChange={handleChange}
+              className="w-full border rounded px-3 py-2"
+            >
+              <option>Easy</option>
+              <option>Intermediate</option>
+              <option>Advanced</option>
+            </select>
+
+            {/* Time limit */}
+            <label className="block text-sm text-gray-600">
+              Time limit (seconds, optional)
+              <input
+                type="number"
+                name="time_limit_seconds"
+                min={10}
+                value={formData.time_limit_seconds ?? ""}
+                onChange={handleChange}
+                placeholder="No limit"
+                className="w-full border rounded px-3 py-2 mt-1"
+              />
+              {errors.time_limit_seconds && <p className="text-sm text-red-600 mt-1">{errors.time_limit_seconds}</p>}
+            </label>
+
+            {/* AI Suggestions */}
+            <div className="space-y-2">
+              {/* AI generation options */}
+              <div className="p-3 border rounded bg-gray-50 space-y-3 text-sm">
+                <div className="flex gap-3">
+                  <label className="flex-1">
+                    <span className="block text-gray-600 mb-1">Questions</span>
+                    <input
+                      type="number"
+                      name="count"
+                      min={1}
+                      max={MAX_AI_QUESTIONS}
+                      value={aiOptions.useMix ? questionCountFor(aiOptions) : aiOptions.count}
+                      onChange={handleAiOptionChange}
+                      disabled={aiOptions.useMix}
+                      className="w-full border rounded px-2 py-1 bg-white disabled:bg-gray-100"
+                    />
+                  </label>
+                  <label className="flex-1">
+                    <span className="block text-gray-600 mb-1">Style</span>
+                    <select
+                      name="style"
+                      value={aiOptions.style}
+                      onChange={handleAiOptionChange}
+                      className="w-full border rounded px-2 py-1 bg-white capitalize"
+                    >
+                      {QUESTION_STYLES.map((style) => (
+                        <option key={style} value={style}>
+                          {style}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+
+                <label className="flex items-center gap-2 text-gray-600">
+                  <input
+                    type="checkbox"
+                    name="useMix"
+                    checked={aiOptions.useMix}
+                    onChange={handleAiOptionChange}
+                  />
+                  Set difficulty mix
+                </label>
+                {aiOptions.useMix && (
+                  <div className="flex gap-3">
+                    {DIFFICULTIES.map((difficulty) => (
+                      <label key={difficulty} className="flex-1">
+                        <span className="block text-gray-600 mb-1">{difficulty}</span>
+                        <input
+                          type="number"
+                          name={`mix.${difficulty}`}
+                          min={0}
+                          max={MAX_AI_QUESTIONS}
+                          value={aiOptions.mix[difficulty]}
+                          onChange={handleAiOptionChange}
+                          className="w-full border rounded px-2 py-1 bg-white"
+                        />
+                      </label>
+                    ))}
+                  </div>
+                )}
+
+                <input
+                  name="avoid"
+                  value={aiOptions.avoid}
+                  onChange={handleAiOptionChange}
+                  placeholder="Topics to avoid (comma separated)"
+                  className="w-full border rounded px-2 py-1 bg-white"
+                />
+              </div>
+
+              <div className="flex gap-2">
+                <motion.button
+                  type="button"
+                  onClick={handleGenerate}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  disabled={loadingAI}
+                  className="flex items-center gap-2 px-4 py-2 bg-gray-100 rounded hover:bg-gray-200 w-full cursor-pointer disabled:cursor-wait"
+                >
+                  {loadingAI
+                    ? `Generating... (${aiSuggestions.length} of ${
+                        aiOptions.useMix ? questionCountFor(aiOptions) : aiOptions.count
+                      })`
+                    : "🤖 Generate Questions"}
+                </motion.button>
+                {loadingAI && (
+                  <button
+                    type="button"
+                    onClick={handleCancelGenerate}
+                    className="px-4 py-2 bg-red-100 text-red-700 rounded hover:bg-red-200 cursor-pointer"
+                  >
+                    Stop
+                  </button>
+                )}
+              </div>
+
+              {aiSuggestions.length > 0 && (
+                <div className="grid gap-2 mt-3">
+                  <div className="flex justify-between items-center text-sm text-gray-600">
+                    <span>
+                      {aiSuggestions.filter((s) => s.selected).length} of {aiSuggestions.length} selected
+                    </span>
+                    <button
+                      type="button"
+                      onClick={handleToggleAll}
+                      className="text-indigo-600 hover:underline cursor-pointer"
+                    >
+                      {aiSuggestions.every((s) => s.selected) ? "Select none" : "Select all"}
+                    </button>
+                  </div>
+
+                  {aiSuggestions.map((s, idx) => (
+                    <motion.div
+                      key={idx}
+                      initial={{ opacity: 0, y: 10 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      className={`p-3 border rounded flex gap-2 ${
+                        s.selected ? "bg-indigo-50 border-indigo-200" : "bg-gray-50"
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={s.selected}
+                        onChange={(e) => handleSuggestionChange(idx, "selected", e.target.checked)}
+                        className="mt-1"
+                      />
+                      <div className="flex-1 space-y-1">
+                        <textarea
+                          value={s.text}
+                          onChange={(e) => handleSuggestionChange(idx, "text", e.target.value)}
+                          rows={2}
+                          className="w-full text-sm text-gray-800 border rounded px-2 py-1 bg-white"
+                        />
+                        <div className="flex justify-between items-center">
+                          <select
+                            value={s.difficulty}
+                            onChange={(e) => handleSuggestionChange(idx, "difficulty", e.target.value)}
+                            className={`text-xs font-medium border rounded px-1 bg-white ${
+                              s.difficulty === "Easy"
+                                ? "text-green-600"
+                                : s.difficulty === "Intermediate"
+                                ? "text-yellow-600"
+                                : "text-red-600"
+                            }`}
+                          >
+                            {DIFFICULTIES.map((d) => (
+                              <option key={d}>{d}</option>
+                            ))}
+                          </select>
+                          <button
+                            type="button"
+                            onClick={() => handleSuggestionClick(s)}
+                            className="text-xs text-indigo-600 hover:underline cursor-pointer"
+                          >
+                            Use in form
+                          </button>
+                        </div>
+                      </div>
+                    </motion.div>
+                  ))}
+
+                  {onBulkSave && !initialData && (
+                    <button
+                      type="button"
+                      onClick={handleAddSelected}
+                      disabled={loadingAI || !aiSuggestions.some((s) => s.selected)}
+                      className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 cursor-pointer disabled:opacity-50"
+                    >
+                      Add {aiSuggestions.filter((s) => s.selected).length} selected questions
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {/* Buttons row */}
+            <div className="flex justify-end gap-3 mt-4">
+              <button
+                type="button"
+                onClick={onClose}
+                className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400 cursor-pointer"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer"
+              >
+                Save
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,115 @@
+import { useEffect, useState } from "react";
+import { Reorder } from "framer-motion";
+import { GripVertical } from "lucide-react";
+import toast from "react-hot-toast";
+import { getQuestionsForInterview, reorderQuestions } from "../../services/api";
+
+/**
+ * QuestionOrder Component
+ *
+ * A modal for setting the order questions are asked in during an interview.
+ * Features:
+ * - Loads every question of the interview in its current order
+ * - Drag-and-drop reordering (Framer Motion `Reorder`)
+ * - Saves the new order as each question's `sort_order`
+ *
+ * Props:
+ * - isOpen: boolean → whether the modal is visible
+ * - interview: object → the interview whose questions are reordered
+ * - onClose: () => void → callback to close modal
+ * - onSaved: (questions) => void → called with the updated questions after saving
+*/
+export default function QuestionOrder({ isOpen, interview, onClose, onSaved }) {
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Load the interview's questions whenever the modal opens.
+  */
+  useEffect(() => {
+    if (!isOpen || !interview) return;
+    setLoading(true);
+    getQuestionsForInterview(interview.id)
+      .then(setQuestions)
+      .catch(() => toast.error("Failed to load questions"))
+      .finally(() => setLoading(false));
+  }, [isOpen, interview]);
+
+  if (!isOpen) return null;
+
+  /**
+   * Save the order shown on screen.
+  */
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const updated = await reorderQuestions(questions.map((q) => q.id));
+      toast.success("Question order saved");
+      onSaved(updated);
+    } catch {
+      toast.error("Error saving question order");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 flex items-center justify-center bg-black/50 z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg shadow-lg max-h-[80vh] overflow-y-auto">
+        <h2 className="text-xl font-bold mb-1">Reorder Questions</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Drag questions into the order applicants should answer them in{" "}
+          <span className="font-medium">{interview?.title}</span>.
+        </p>
+
+        {loading ? (
+          <p className="text-gray-500 text-center animate-pulse">Loading questions...</p>
+        ) : questions.length === 0 ? (
+          <p className="text-gray-500">This interview has no questions yet.</p>
+        ) : (
+          <Reorder.Group
+            axis="y"
+            values={questions}
+            onReorder={setQuestions}
+            className="space-y-2"
+          >
+            {questions.map((q, index) => (
+              <Reorder.Item
+                key={q.id}
+                value={q}
+                whileDrag={{ scale: 1.02, boxShadow: "0 8px 20px rgba(0,0,0,0.15)" }}
+                className="flex items-center gap-3 p-3 border rounded bg-gray-50 cursor-grab active:cursor-grabbing"
+              >
+                <GripVertical size={18} className="text-gray-400 shrink-0" />
+                <span className="text-sm font-semibold text-indigo-600 w-6">{index + 1}.</span>
+                <div>
+                  <p className="text-sm text-gray-800">{q.question}</p>
+                  <p className="text-xs text-gray-500">{q.difficulty}</p>
+                </div>
+              </Reorder.Item>
+            ))}
+          </Reorder.Group>
+        )}
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-300 rounded hover:bg-gray-400 cursor-pointer"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={saving || loading || questions.length === 0}
+            className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save Order"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,351 @@
+import { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import toast from "react-hot-toast";
+import {
+  getQuestionsForInterview,
+  getApplicantAnswers,
+  updateApplicantAnswer,
+  updateApplicant,
+} from "../../services/api";
+import { fetchEntities, saveEntities } from "../../services/store";
+import { SCORES } from "../../services/schemas";
+import { evaluateAnswer } from "../Ai/AiHelper";
+import RecordingPlayer from "./RecordingPlayer";
+
+// Overall recommendation options
+const RECOMMENDATIONS = ["Strong Hire", "Hire", "Undecided", "No Hire"];
+
+/**
+ * ApplicantReview Component
+ *
+ * Review workspace for one applicant's submitted interview.
+ * Features:
+ * - Lists every question of the interview with the applicant's transcript,
+ *   and a player for the answer's audio recording when there is one
+ * - Shows the time spent on each answer
+ * - Score (1–5) and reviewer notes per answered question
+ * - AI pre-screening of an answer: a suggested score with strengths and gaps, for the reviewer to use or ignore
+ * - Overall recommendation and summary notes for the applicant
+ * - Saves scores to `applicant_answer` and the recommendation to `applicant`
+ *
+ * Reads the applicant id from the `/Applicants/:id/review` route.
+*/
+export default function ApplicantReview() {
+  const { id } = useParams();
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [applicant, setApplicant] = useState(null);
+  const [interview, setInterview] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState({}); // question_id → applicant_answer
+  const [reviews, setReviews] = useState({}); // question_id → { score, reviewer_notes }
+  const [overall, setOverall] = useState({ recommendation: "", review_notes: "" });
+  const [assessments, setAssessments] = useState({}); // question_id → AI assessment
+  const [evaluating, setEvaluating] = useState(null); // question_id being assessed
+
+  /**
+   * Load the applicant, their interview, its questions and the submitted answers.
+  */
+  useEffect(() => {
+    async function fetchData() {
+      try {
+        const [a] = await fetchEntities("applicant", [id]);
+        if (!a) {
+          setLoading(false);
+          return;
+        }
+
+        const [[i], qData, aData] = await Promise.all([
+          fetchEntities("interview", [a.interview_id]),
+          getQuestionsForInterview(a.interview_id),
+          getApplicantAnswers(a.id),
+        ]);
+
+        // Latest answer per question wins if an interview was submitted twice
+        const answerMap = {};
+        aData.forEach((ans) => {
+          answerMap[ans.question_id] = ans;
+        });
+
+        const reviewMap = {};
+        Object.values(answerMap).forEach((ans) => {
+          reviewMap[ans.question_id] = {
+            score: ans.score ?? null,
+            reviewer_notes: ans.reviewer_notes || "",
+          };
+        });
+
+        setApplicant(a);
+        setInterview(i);
+        setQuestions(qData);
+        setAnswers(answerMap);
+        setReviews(reviewMap);
+        setOverall({
+          recommendation: a.recommendation || "",
+          review_notes: a.review_notes || "",
+        });
+      } catch {
+        toast.error("Failed to load applicant answers");
+      } finally {
+        setLoading(false);
+      }
+    }
+    fetchData();
+  }, [id]);
+
+  /**
+   * Update the score or notes of one question.
+  */
+  const handleReviewChange = (questionId, field, value) => {
+    setReviews((prev) => ({
+      ...prev,
+      [questionId]: { ...prev[questionId], [field]: value },
+    }));
+  };
+
+  /**
+   * Ask the AI to assess the applicant's answer to a question.
+  */
+  const handleEvaluate = async (q) => {
+    setEvaluating(q.id);
+    try {
+      const assessment = await evaluateAnswer({
+        question: q.question,
+        difficulty: q.difficulty,
+        position: interview?.job_role || interview?.title || "",
+        transcript: answers[q.id].answer || "",
+      });
+      setAssessments((prev) => ({ ...prev, [q.id]: assessment }));
+    } catch (err) {
+      toast.error(err.message || "Failed to assess answer");
+    } finally {
+      setEvaluating(null);
+    }
+  };
+
+  /**
+   * Save every changed question review, then the overall recommendation.
+  */
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+
+      const changed = Object.entries(reviews).filter(([questionId, review]) => {
+        const answer = answers[questionId];
+        return (
+          (answer.score ?? null) !== review.score ||
+          (answer.reviewer_notes || "") !== review.reviewer_notes
+        );
+      });
+
+      const updatedAnswers = await Promise.all(
+        changed.map(([questionId, review]) =>
+          updateApplicantAnswer(answers[questionId].id, review)
+        )
+      );
+      setAnswers((prev) => {
+        const next = { ...prev };
+        updatedAnswers.flat().forEach((ans) => {
+          next[ans.question_id] = ans;
+        });
+        return next;
+      });
+
+      const updated = await updateApplicant(applicant.id, overall);
+      saveEntities("applicant", updated);
+      setApplicant(updated[0]);
+
+      toast.success("Review saved");
+    } catch {
+      toast.error("Error saving review");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <p className="text-gray-500 text-center mt-24 animate-pulse">
+        Loading review...
+      </p>
+    );
+  }
+
+  if (!applicant) {
+    return <p className="text-center mt-24 text-red-600">Applicant not found ❌</p>;
+  }
+
+  // Average of the scores given so far
+  const scored = Object.values(reviews).filter((r) => r.score !== null);
+  const average = scored.length
+    ? (scored.reduce((sum, r) => sum + r.score, 0) / scored.length).toFixed(1)
+    : null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 30 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.6 }}
+      className="container mx-auto px-6 py-8 mt-10 max-w-4xl"
+    >
+      {/* Header */}
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+        <div>
+          <Link to="/Applicants" className="text-sm text-indigo-600 hover:underline">
+            ← Back to applicants
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-800 mt-2">
+            {applicant.title} {applicant.firstname} {applicant.surname}
+          </h1>
+          <p className="text-sm text-gray-500">
+            {interview ? interview.title : "Unknown interview"} · {applicant.interview_status}
+          </p>
+        </div>
+        {average && (
+          <div className="bg-indigo-50 text-indigo-700 rounded p-3 text-center">
+            <p className="text-lg font-bold">{average} / 5</p>
+            <p className="text-xs">Average score</p>
+          </div>
+        )}
+      </div>
+
+      {applicant.interview_status !== "Completed" && (
+        <p className="mb-6 p-3 rounded bg-yellow-50 text-yellow-700 text-sm">
+          This applicant has not completed the interview yet.
+        </p>
+      )}
+
+      {/* Questions and transcripts */}
+      <div className="space-y-4">
+        {questions.map((q, index) => {
+          const answer = answers[q.id];
+          const review = reviews[q.id];
+          const assessment = assessments[q.id];
+          return (
+            <div key={q.id} className="bg-white rounded-lg shadow p-6">
+              <p className="text-xs text-gray-500 mb-1">
+                Question {index + 1} · {q.difficulty}
+                {answer?.time_spent_seconds != null &&
+                  ` · ${Math.floor(answer.time_spent_seconds / 60)}m ${answer.time_spent_seconds % 60}s spent`}
+                {q.time_limit_seconds && ` of ${q.time_limit_seconds}s allowed`}
+              </p>
+              <h2 className="font-semibold text-gray-800">{q.question}</h2>
+
+              <p className="mt-3 text-gray-700 italic whitespace-pre-line">
+                {answer ? answer.answer || "No answer given" : "No answer submitted"}
+              </p>
+
+              {answer?.audio_url && <RecordingPlayer url={answer.audio_url} />}
+
+              {answer && (
+                <div className="mt-4 space-y-3">
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm text-gray-600 mr-2">Score:</span>
+                    {SCORES.map((score) => (
+                      <button
+                        key={score}
+                        type="button"
+                        onClick={() => handleReviewChange(q.id, "score", score)}
+                        className={`w-8 h-8 rounded-full text-sm cursor-pointer ${
+                          review.score === score
+                            ? "bg-indigo-600 text-white"
+                            : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                        }`}
+                      >
+                        {score}
+                      </button>
+                    ))}
+                  </div>
+                  <textarea
+                    value={review.reviewer_notes}
+                    onChange={(e) => handleReviewChange(q.id, "reviewer_notes", e.target.value)}
+                    placeholder="Notes on this answer"
+                    rows={2}
+                    className="w-full border rounded px-3 py-2 text-sm"
+                  />
+
+                  {/* AI pre-screening */}
+                  {assessment ? (
+                    <div className="rounded bg-purple-50 p-3 text-sm text-gray-700 space-y-1">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="font-medium text-purple-700">
+                          AI suggests {assessment.score} / 5
+                          <span className="font-normal text-gray-500">
+                            {" "}
+                            ({Math.round(assessment.confidence * 100)}% confident)
+                          </span>
+                        </span>
+                        {review.score !== assessment.score && (
+                          <button
+                            type="button"
+                            onClick={() => handleReviewChange(q.id, "score", assessment.score)}
+                            className="text-purple-700 hover:underline cursor-pointer"
+                          >
+                            Use score
+                          </button>
+                        )}
+                      </div>
+                      {assessment.strengths.length > 0 && (
+                        <p>
+                          <span className="text-gray-500">Strengths:</span> {assessment.strengths.join("; ")}
+                        </p>
+                      )}
+                      {assessment.gaps.length > 0 && (
+                        <p>
+                          <span className="text-gray-500">Gaps:</span> {assessment.gaps.join("; ")}
+                        </p>
+                      )}
+                    </div>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => handleEvaluate(q)}
+                      disabled={evaluating !== null}
+                      className="text-sm text-purple-700 hover:underline cursor-pointer disabled:opacity-50"
+                    >
+                      {evaluating === q.id ? "Assessing..." : "🤖 Suggest a score"}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Overall recommendation */}
+      <div className="bg-white rounded-lg shadow p-6 mt-6 space-y-4">
+        <h2 className="font-semibold text-gray-800">Overall Recommendation</h2>
+        <select
+          value={overall.recommendation}
+          onChange={(e) => setOverall((prev) => ({ ...prev, recommendation: e.target.value }))}
+          className="w-full border rounded px-3 py-2"
+        >
+          <option value="">-- Select Recommendation --</option>
+          {RECOMMENDATIONS.map((r) => (
+            <option key={r} value={r}>
+              {r}
+            </option>
+          ))}
+        </select>
+        <textarea
+          value={overall.review_notes}
+          onChange={(e) => setOverall((prev) => ({ ...prev, review_notes: e.target.value }))}
+          placeholder="Summary notes"
+          rows={4}
+          className="w-full border rounded px-3 py-2"
+        />
+        <div className="flex justify-end">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 cursor-pointer disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save Review"}
+          </button>
+        </div>
+      </div>
+    </motion.div>
+  );
+}
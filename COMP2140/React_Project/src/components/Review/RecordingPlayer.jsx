@@ -0,0 +1,54 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { getRecording } from "../Ai/AiHelper";
+
+/**
+ * RecordingPlayer Component
+ *
+ * Plays back the audio recording of an answer. Recordings are only served to signed-in
+ * interviewers, so the audio is loaded (with their JWT) when they ask to play it,
+ * rather than by the audio element itself.
+ *
+ * Props:
+ * - url: string → the answer's `audio_url`
+*/
+export default function RecordingPlayer({ url }) {
+  const [src, setSrc] = useState(null); // object URL of the loaded audio
+  const [loading, setLoading] = useState(false);
+
+  // Release the loaded audio when it is replaced or the player goes away
+  useEffect(() => {
+    return () => {
+      if (src) URL.revokeObjectURL(src);
+    };
+  }, [src]);
+
+  /**
+   * Load the recording and start playing it.
+  */
+  const handleLoad = async () => {
+    setLoading(true);
+    try {
+      setSrc(URL.createObjectURL(await getRecording(url)));
+    } catch (err) {
+      toast.error(err.message || "Failed to load recording");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (src) {
+    return <audio controls autoPlay src={src} className="mt-3 w-full" />;
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleLoad}
+      disabled={loading}
+      className="mt-3 text-sm text-indigo-600 hover:underline cursor-pointer disabled:opacity-50"
+    >
+      {loading ? "Loading recording..." : "▶ Play recording"}
+    </button>
+  );
+}
@@ -0,0 +1,69 @@
+import { useState, useEffect, useRef } from "react";
+
+// Below this many seconds the countdown turns red
+const WARNING_SECONDS = 10;
+
+// How long to wait before calling `onExpire` again when it did not succeed
+const RETRY_MS = 5000;
+
+/**
+ * Format seconds as m:ss.
+ */
+function formatTime(seconds) {
+  const s = Math.max(0, Math.ceil(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Countdown Component
+ *
+ * Shows the time left until a deadline, ticking every second,
+ * and calls `onExpire` when it is reached.
+ *
+ * Props:
+ * - deadline: number → time (ms since epoch) the countdown ends
+ * - label: string → what the time is for, e.g. "this question"
+ * - onExpire: () => void | Promise<boolean> → called when time runs out; called again a few
+ *   seconds later if it resolves to false (e.g. the answer could not be saved)
+*/
+export default function Countdown({ deadline, label, onExpire }) {
+  const [now, setNow] = useState(() => Date.now());
+  const onExpireRef = useRef(onExpire);
+  const expiredRef = useRef(false);
+
+  // Always call the latest handler, without restarting the timer
+  useEffect(() => {
+    onExpireRef.current = onExpire;
+  }, [onExpire]);
+
+  useEffect(() => {
+    expiredRef.current = false;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [deadline]);
+
+  const secondsLeft = (deadline - now) / 1000;
+
+  useEffect(() => {
+    if (secondsLeft <= 0 && !expiredRef.current) {
+      expiredRef.current = true;
+      Promise.resolve(onExpireRef.current()).then((done) => {
+        if (done === false) {
+          setTimeout(() => {
+            expiredRef.current = false; // the next tick tries again
+          }, RETRY_MS);
+        }
+      });
+    }
+  }, [secondsLeft]);
+
+  return (
+    <p
+      className={`text-sm font-medium ${
+        secondsLeft <= WARNING_SECONDS ? "text-red-600" : "text-gray-600"
+      }`}
+    >
+      ⏱ {formatTime(secondsLeft)} left for {label}
+    </p>
+  );
+}
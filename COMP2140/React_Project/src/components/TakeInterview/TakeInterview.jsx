@@ -1,35 +1,108 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useParams } from "react-router-dom";
 import { motion } from "framer-motion";
 import SpeechRecognition, { useSpeechRecognition } from "react-speech-recognition";
 import { HiCheckBadge } from "react-icons/hi2";
 import {
-  getInterview,
-  getQuestions,
+  getQuestionsForInterview,
+  getApplicantAnswers,
   updateApplicant,
   createApplicantAnswer,
-  getApplicant
+  updateApplicantAnswer,
 } from "../../services/api";
+import { fetchEntities, saveEntities } from "../../services/store";
+import { interviewAccessProblem } from "../../services/invites";
+import {
+  uploadRecording,
+  getInvitation,
+  startInvitationAnswer,
+  saveInvitationAnswer,
+  updateInvitationStatus,
+} from "../Ai/AiHelper";
+import useAnswerRecorder from "./useAnswerRecorder";
+import Countdown from "./Countdown";
 import toast from "react-hot-toast";
 
+/**
+ * Whether a saved answer row has been answered, rather than only started
+ * (rows are created when a question is first shown, to keep its start time).
+ */
+function isAnswered(row) {
+  return row?.answer != null;
+}
+
+/**
+ * Index the latest answer to each question, and find where to resume:
+ * the first unanswered question (or the last question once all are answered).
+ */
+function savedProgress(questions, answers) {
+  const rows = {};
+  answers.forEach((a) => {
+    rows[a.question_id] = a; // latest answer per question
+  });
+  const saved = {};
+  Object.values(rows).forEach((a) => {
+    if (a.answer) saved[a.question_id] = a.answer;
+  });
+  const firstUnanswered = questions.findIndex((q) => !isAnswered(rows[q.id]));
+  return {
+    rows,
+    saved,
+    index: firstUnanswered === -1 ? Math.max(questions.length - 1, 0) : firstUnanswered,
+  };
+}
+
+/**
+ * How to tell the applicant why the server turned them away
+ * (already completed, out of time, link expired or interview not open).
+ */
+function refusalFor(err) {
+  const title =
+    err.code === "interview_time_up"
+      ? "Time Is Up"
+      : err.status === 409
+      ? "Interview Completed"
+      : "Interview Unavailable";
+  return { title, message: err.message };
+}
+
 /**
  * TakeInterview Component
  *
  * Provides the interactive flow for applicants to complete their interview:
- * - Loads applicant data either from props or via URL param
- * - Fetches interview details and associated questions
+ * - Loads applicant data either from props or from the invite token in the URL
+ *   (refusing unknown or expired invitations). Applicants opening their link have no API
+ *   credentials, so their interview is read and saved through the AI server's invitation routes
+ * - Refuses access once the applicant has completed the interview, or if it isn't Published
+ *   (checked by the server for invitation links)
+ * - Fetches interview details (through the shared store) and associated questions,
+ *   in the order set by the interviewer
  * - Guides applicant through steps: Welcome → Questions → Review → Complete
- * - Supports voice input using `react-speech-recognition`
- * - Saves answers and updates applicant status when submitted
+ * - Supports voice input using `react-speech-recognition`, typed answers, or a mix of both
+ *   (typing only when the browser has no speech recognition)
+ * - Records the audio of spoken answers and uploads it with the answer, for reviewers to play back
+ * - Saves each answer as the applicant moves on, marking them "In Progress" on the first one
+ * - Resumes at the first unanswered question when reopened
+ * - Counts down optional time limits per question and for the whole interview:
+ *   moves on when a question's time runs out, and submits when the interview's does, trying
+ *   again if saving fails. The interview's counts from when its first question was shown and
+ *   carries on through the review step; a question's from when it was first shown (saved, so a
+ *   reload doesn't reset them). The server refuses answers once the time is up
+ * - Stores the time spent on each answer
+ * - Lets the applicant edit their answers on the review step (unless time-limited)
+ * - Marks the applicant "Completed" when submitted
  *
  * Props:
  * - applicant (optional): applicant object, if passed directly from parent.
- *   If not provided, applicant will be fetched from `useParams()`.
+ *   If not provided, applicant is found by the invite token from `useParams()`.
 */
 export default function TakeInterview({ applicant: applicantProp }) {
-  const { id } = useParams(); //read from URL
+  const { token } = useParams(); //read from URL
   const [applicant, setApplicant] = useState(applicantProp || null);
   const [loading, setLoading] = useState(!applicantProp);
+  const invited = !applicantProp; // opened through the applicant's invitation link
+  const [linkProblem, setLinkProblem] = useState(null); // why the invite link cannot be used
+  const [refusal, setRefusal] = useState(null); // { title, message } when the server turns the applicant away
 
   // Flow states
   const [step, setStep] = useState("welcome"); // current step in interview flow
@@ -37,90 +110,410 @@ export default function TakeInterview({ applicant: applicantProp }) {
   const [questions, setQuestions] = useState([]); // all interview questions
   const [currentIndex, setCurrentIndex] = useState(0); // active question index
   const [answers, setAnswers] = useState({}); // collected answers
+  const [answerRows, setAnswerRows] = useState({}); // question_id → saved applicant_answer
+  const [progressLoaded, setProgressLoaded] = useState(false); // saved answers have been loaded
+  const [saving, setSaving] = useState(false); // an answer is being saved
   const [submitted, setSubmitted] = useState(false); // whether interview is submitted
+  const [answerMode, setAnswerMode] = useState("voice"); // "voice" | "type" | "mixed"
+  const [typed, setTyped] = useState(""); // typed answer to the current question
+  const audioUrlRef = useRef(null); // uploaded recording not yet saved with its answer
+  const [questionStartedAt, setQuestionStartedAt] = useState(null); // when the current question was shown (ms)
+  const startingRef = useRef(null); // { questionId, promise } while a question's start is being saved
 
   // Voice recognition hook
-  const { transcript, listening, resetTranscript } = useSpeechRecognition();
+  const {
+    transcript,
+    listening,
+    resetTranscript,
+    browserSupportsSpeechRecognition,
+    isMicrophoneAvailable,
+  } = useSpeechRecognition();
+
+  // Audio of the current answer, recorded while the microphone is on
+  const recorder = useAnswerRecorder();
+  const { pause: pauseRecording } = recorder;
+
+  // Without speech recognition, answers can only be typed
+  const mode = browserSupportsSpeechRecognition ? answerMode : "type";
+
+  /**
+   * Pause the recording whenever listening stops (paused, or ended by the browser),
+   * so dictating in several parts still makes one recording per answer.
+  */
+  useEffect(() => {
+    if (!listening) pauseRecording();
+  }, [listening, pauseRecording]);
 
   /**
-  * Load applicant data if not passed as prop (route mode).
-  * Uses applicant id from URL params to fetch applicant info.
+   * In mixed mode, dictated text joins the typed answer once dictation pauses,
+   * so it can be edited like the rest.
   */
   useEffect(() => {
-    if (!applicant && id) {
-      getApplicant(id)
-        .then((data) => {
-          setApplicant(data[0]); // assuming API returns [applicant]
-          setLoading(false);
-        })
-        .catch(() => {
-          toast.error("Failed to load applicant");
-          setLoading(false);
-        });
+    if (mode === "mixed" && !listening && transcript) {
+      setTyped((prev) => [prev.trim(), transcript.trim()].filter(Boolean).join(" "));
+      resetTranscript();
     }
-  }, [id, applicant]);
+  }, [mode, listening, transcript, resetTranscript]);
 
-  // Load interview + questions
+  /**
+  * Load the interview from the invite token in the URL (route mode).
+  * The server finds the applicant the token was issued to, and refuses unknown or expired links.
+  */
   useEffect(() => {
-    if (applicant) {
-      getInterview(applicant.interview_id)
-        .then((data) => setInterview(data[0]))
-        .catch(() => toast.error("Failed to load interview"));
+    if (applicantProp || !token) return;
+
+    getInvitation(token)
+      .then((data) => {
+        const { rows, saved, index } = savedProgress(data.questions, data.answers);
+        setApplicant(data.applicant);
+        setInterview(data.interview);
+        setQuestions(data.questions);
+        setAnswerRows(rows);
+        setAnswers(saved);
+        setCurrentIndex(index);
+        setProgressLoaded(true);
+        setLoading(false);
+      })
+      .catch((err) => {
+        if (err.status === 409 || err.status === 403) {
+          setRefusal(refusalFor(err));
+        } else if (err.status) {
+          setLinkProblem(err.message); // the server's explanation, e.g. an unknown or expired link
+        } else {
+          toast.error("Failed to load interview");
+        }
+        setLoading(false);
+      });
+  }, [token, applicantProp]);
 
-      getQuestions()
-        .then((allQs) =>
-          setQuestions(allQs.filter((q) => q.interview_id === applicant.interview_id))
-        )
-        .catch(() => toast.error("Failed to load questions"));
+  // Load interview (applicant passed as prop)
+  const applicantId = applicantProp?.id;
+  const interviewId = applicantProp?.interview_id;
+  useEffect(() => {
+    if (interviewId) {
+      fetchEntities("interview", [interviewId])
+        .then(([data]) => setInterview(data))
+        .catch(() => toast.error("Failed to load interview"));
     }
-  }, [applicant]);
+  }, [interviewId]);
+
+  /**
+   * Load the questions together with any answers saved earlier (applicant passed as prop),
+   * and resume at the first unanswered question.
+  */
+  useEffect(() => {
+    if (!applicantId) return;
+
+    Promise.all([getQuestionsForInterview(interviewId), getApplicantAnswers(applicantId)])
+      .then(([qData, aData]) => {
+        const { rows, saved, index } = savedProgress(qData, aData);
+        setQuestions(qData);
+        setAnswerRows(rows);
+        setAnswers(saved);
+        setCurrentIndex(index);
+        setProgressLoaded(true);
+      })
+      .catch(() => toast.error("Failed to load questions"));
+  }, [applicantId, interviewId]);
 
   if (loading) {
     return <p className="text-center mt-10 text-gray-500">Loading interview...</p>;
   }
 
-  if (!applicant) {
+  if (linkProblem) {
+    return <p className="text-center mt-10 text-red-600">{linkProblem}</p>;
+  }
+
+  if (!applicant && !refusal) {
     return <p className="text-center mt-10 text-red-600">Applicant not found ❌</p>;
   };
 
+  // Completed applicants and unpublished interviews are turned away
+  const problem = !invited && interview && !submitted ? interviewAccessProblem(applicant, interview) : null;
+  const accessProblem =
+    refusal ??
+    (problem && {
+      title: applicant.interview_status === "Completed" ? "Interview Completed" : "Interview Unavailable",
+      message: problem,
+    });
+
+  // Answered questions so far, and whether the applicant is coming back to a started interview
+  const answeredCount = questions.filter((q) => isAnswered(answerRows[q.id])).length;
+  const resuming = answeredCount > 0;
+
+  // Time limits: the interview's counts from when its first question was shown
+  const currentQuestion = questions[currentIndex];
+  const interviewLimit = interview?.time_limit_minutes ? interview.time_limit_minutes * 60 : null; // seconds
+  const timed = !!interviewLimit || questions.some((q) => q.time_limit_seconds);
+  const shownAt = Object.values(answerRows)
+    .map((row) => Date.parse(row.started_at))
+    .filter((t) => !Number.isNaN(t));
+  const interviewStartedAt = shownAt.length ? Math.min(...shownAt) : questionStartedAt;
+  const interviewDeadline =
+    interviewLimit && interviewStartedAt ? interviewStartedAt + interviewLimit * 1000 : null;
+  const questionDeadline =
+    currentQuestion?.time_limit_seconds && questionStartedAt
+      ? questionStartedAt + currentQuestion.time_limit_seconds * 1000
+      : null;
+
+  /**
+   * Save the answer to a question: creates its applicant_answer row the first time,
+   * then updates it. The first saved answer marks the applicant "In Progress".
+   * @param question - The question answered
+   * @param text - The answer text (may be empty if skipped)
+   * @param fields - Other columns to save with it (e.g. `audio_url`)
+   */
+  const saveAnswer = async (question, text, fields = {}) => {
+    // Wait for the question's start to be saved, so it isn't saved as a second answer
+    const starting = startingRef.current?.questionId === question.id ? startingRef.current.promise : null;
+    const existing = answerRows[question.id] ?? (await starting?.catch(() => null));
+    let row;
+    if (invited) {
+      row = await saveInvitationAnswer(token, question.id, { answer: text, ...fields });
+    } else {
+      [row] = existing
+        ? await updateApplicantAnswer(existing.id, { answer: text, ...fields })
+        : await createApplicantAnswer({
+            applicant_id: applicant.id,
+            interview_id: applicant.interview_id,
+            question_id: question.id,
+            answer: text,
+            ...fields,
+          });
+    }
+    setAnswerRows((prev) => ({ ...prev, [question.id]: row }));
+
+    if (applicant.interview_status !== "In Progress" && applicant.interview_status !== "Completed") {
+      await updateStatus("In Progress");
+    }
+  };
+
+  /**
+   * Move the applicant on to "In Progress" or "Completed", recording when they did.
+   * @param status - The new interview status
+   */
+  const updateStatus = async (status) => {
+    if (invited) {
+      setApplicant(await updateInvitationStatus(token, status));
+      return;
+    }
+    const updated = await updateApplicant(applicant.id, {
+      interview_status: status,
+      [status === "Completed" ? "completed_at" : "started_at"]: new Date().toISOString(),
+    });
+    saveEntities("applicant", updated);
+    setApplicant(updated[0]);
+  };
+
+  /**
+   * Whether the server refused a save because the applicant can no longer take the interview
+   * (completed meanwhile, out of time, link expired or interview closed); if so, show them why.
+   * @param err - The error the save failed with
+   */
+  const refusedBy = (err) => {
+    if (!invited || ![403, 409, 410].includes(err.status) || err.code === "question_time_up") {
+      return false;
+    }
+    setRefusal(refusalFor(err));
+    setStep("welcome");
+    return true;
+  };
+
   /**
-   * Advance to the next question or move to review step.
-   * Saves transcript as answer for current question before moving on.
+   * The answer given so far to the current question, in the current answer mode.
    */
-  const handleNext = () => {
+  const currentAnswer = () => {
+    const spoken = transcript.trim();
+    if (mode === "voice") {
+      return spoken || answers[questions[currentIndex].id] || "";
+    }
+    // Typed text, plus anything still being dictated in mixed mode
+    return [typed.trim(), spoken].filter(Boolean).join(" ");
+  };
+
+  /**
+   * Save when a question is first shown, as its answer row with `started_at` and no answer yet,
+   * so its time limits keep counting from then after a page reload.
+   */
+  const startQuestion = (question) => {
+    const promise = invited
+      ? startInvitationAnswer(token, question.id)
+      : createApplicantAnswer({
+          applicant_id: applicant.id,
+          interview_id: applicant.interview_id,
+          question_id: question.id,
+          answer: null,
+          started_at: new Date().toISOString(),
+        }).then(([row]) => row);
+    startingRef.current = { questionId: question.id, promise };
+
+    promise
+      .then((row) => setAnswerRows((prev) => ({ ...prev, [question.id]: prev[question.id] ?? row })))
+      .catch((err) => console.error("Could not save when the question was shown", err));
+  };
+
+  /**
+   * Show a question, starting its answer box from any saved answer.
+   * A question started before (e.g. before a page reload) keeps counting from when it was first shown.
+   */
+  const goToQuestion = (index) => {
+    const question = questions[index];
+    const row = answerRows[question?.id];
+    setCurrentIndex(index);
+    setQuestionStartedAt(row?.started_at && !isAnswered(row) ? Date.parse(row.started_at) : Date.now());
+    if (question && !row) startQuestion(question);
+    setTyped(answers[question?.id] || "");
+    resetTranscript();
+  };
+
+  /**
+   * Turn the microphone on: starts speech recognition and the audio recording.
+   * The answer can still be given without a recording if it cannot start.
+   */
+  const startListening = () => {
+    SpeechRecognition.startListening({ continuous: true });
+    recorder.start().catch((err) => console.error("Audio recording failed to start", err));
+  };
+
+  /**
+   * Upload the recording of the current answer, if there is one.
+   * @returns The recording's URL, or null when nothing was recorded or the upload failed
+   */
+  const uploadAnswerAudio = async () => {
+    const audio = await recorder.stop();
+    if (!audio) return null;
+    try {
+      const { url } = await uploadRecording(audio, { token: invited ? token : undefined });
+      return url;
+    } catch (err) {
+      console.error("Recording upload failed", err);
+      toast.error("Your recording could not be uploaded, but your answer text was saved.");
+      return null;
+    }
+  };
+
+  /**
+   * Switch between voice, typed and mixed answers, keeping what was said or typed so far.
+   */
+  const handleModeChange = (nextMode) => {
+    if (listening) SpeechRecognition.stopListening();
+    setTyped(currentAnswer());
+    resetTranscript();
+    setAnswerMode(nextMode);
+  };
+
+  /**
+   * Save the current answer (and its recording) with the time spent on it,
+   * so it survives a page refresh.
+   * @returns Whether the applicant can move on: the answer was saved, or the question's time ran out first
+   */
+  const saveCurrentAnswer = async () => {
     const currentQ = questions[currentIndex];
-    if (transcript && transcript.trim() !== "") {
-      setAnswers((prev) => ({ ...prev, [currentQ.id]: transcript }));
-      resetTranscript();
+    const text = currentAnswer();
+    if (listening) SpeechRecognition.stopListening();
+
+    try {
+      setSaving(true);
+      // Kept until the answer is saved, so retrying after a failed save doesn't lose it
+      audioUrlRef.current = (await uploadAnswerAudio()) || audioUrlRef.current;
+      const audioUrl = audioUrlRef.current;
+      const spent = Math.round((Date.now() - questionStartedAt) / 1000);
+      await saveAnswer(currentQ, text, {
+        time_spent_seconds: (answerRows[currentQ.id]?.time_spent_seconds || 0) + spent,
+        ...(audioUrl && { audio_url: audioUrl }),
+      });
+      audioUrlRef.current = null;
+    } catch (err) {
+      if (err.code === "question_time_up") {
+        toast.error(err.message);
+        audioUrlRef.current = null;
+        resetTranscript();
+        return true; // the question is over either way
+      }
+      if (!refusedBy(err)) {
+        toast.error("Could not save your answer. Please try again.");
+      }
+      return false;
+    } finally {
+      setSaving(false);
     }
+
+    setAnswers((prev) => ({ ...prev, [currentQ.id]: text }));
+    resetTranscript();
+    return true;
+  };
+
+  /**
+   * Advance to the next question or move to review step, saving the current answer first.
+   * @returns Whether it moved on
+   */
+  const handleNext = async () => {
+    if (saving || !(await saveCurrentAnswer())) return false;
+
     if (currentIndex < questions.length - 1) {
-      setCurrentIndex(currentIndex + 1);
+      goToQuestion(currentIndex + 1);
     } else {
       setStep("review");
     }
+    return true;
+  };
+
+  /**
+   * The current question's time ran out: move on with the answer given so far.
+   * @returns Whether it moved on (if not, the countdown calls this again shortly)
+   */
+  const handleQuestionTimeUp = () => {
+    toast("Time is up for this question.", { icon: "⏱", id: "question-time-up" });
+    return handleNext();
+  };
+
+  /**
+   * The interview's time ran out: save the current answer (when on a question) and submit.
+   * @returns Whether it is over (if not, the countdown calls this again shortly)
+   */
+  const handleInterviewTimeUp = async () => {
+    if (saving) return false; // try again once the current save is done
+    toast("Time is up for this interview. Submitting your answers.", { icon: "⏱", id: "interview-time-up" });
+    if (step === "interview" && !(await saveCurrentAnswer())) return false;
+    try {
+      await completeInterview();
+      return true;
+    } catch (err) {
+      if (refusedBy(err)) return true;
+      toast.error("Error submitting answers ❌");
+      return false;
+    }
+  };
+
+  /**
+   * Mark the applicant "Completed" and show the completion step.
+   */
+  const completeInterview = async () => {
+    await updateStatus("Completed");
+    setSubmitted(true);
+    setStep("complete");
+    toast.success("Interview submitted ✅");
   };
 
    /**
-   * Submit answers for all questions.
-   * - Creates applicant answers in DB
+   * Submit the interview.
+   * - Answers are already saved; answers edited on the review step are saved again,
+   *   and any question without one gets an empty answer (unless its time ran out first)
    * - Updates applicant status to "Completed"
    */
   const handleSubmit = async () => {
     try {
       for (const q of questions) {
-        await createApplicantAnswer({
-          applicant_id: applicant.id,
-          interview_id: interview.id,
-          question_id: q.id,
-          answer: answers[q.id] || "",
-        });
+        const text = (answers[q.id] || "").trim();
+        if (!answerRows[q.id] || answerRows[q.id].answer !== text) {
+          await saveAnswer(q, text).catch((err) => {
+            if (err.code !== "question_time_up") throw err;
+          });
+        }
       }
-      await updateApplicant(applicant.id, { interview_status: "Completed" });
-      setSubmitted(true);
-      setStep("complete");
-      toast.success("Interview submitted ✅");
-    } catch {
-      toast.error("Error submitting answers ❌");
+      await completeInterview();
+    } catch (err) {
+      if (!refusedBy(err)) toast.error("Error submitting answers ❌");
     }
   };
 
@@ -128,7 +521,14 @@ export default function TakeInterview({ applicant: applicantProp }) {
     <div className="container mx-auto px-6 py-12 flex justify-center">
       <div className="w-full max-w-2xl bg-white shadow-lg rounded-lg p-8">
         {/* Step 1 – Welcome */}
-        {step === "welcome" && applicant && interview && (
+        {accessProblem && (
+          <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+            <h1 className="text-xl font-bold mb-4">{accessProblem.title}</h1>
+            <p className="text-gray-600">{accessProblem.message}</p>
+          </motion.div>
+        )}
+
+        {step === "welcome" && applicant && interview && !accessProblem && (
           <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
             <h1 className="text-xl font-bold mb-4">Welcome to Your Interview</h1>
             <p className="font-semibold">Applicant Details:</p>
@@ -141,15 +541,47 @@ export default function TakeInterview({ applicant: applicantProp }) {
             <p>{interview.title}</p>
             <p className="mb-6">{interview.description}</p>
 
+            {timed && (
+              <p className="mb-4 text-sm text-yellow-800 bg-yellow-50 rounded p-3">
+                ⏱ This interview is timed
+                {interviewLimit &&
+                  `: you have ${interview.time_limit_minutes} minutes from the first question to submit your answers`}.
+                {questions.some((q) => q.time_limit_seconds) &&
+                  " Some questions also have their own time limit; when it runs out you move on to the next question."}
+              </p>
+            )}
+
+            {resuming && (
+              <p className="mb-4 text-sm text-indigo-700 bg-indigo-50 rounded p-3">
+                Welcome back! Your answers to {answeredCount} of {questions.length} questions
+                were saved. You can carry on where you left off.
+              </p>
+            )}
+
             <button
-              onClick={() => setStep("interview")}
-              className="px-6 py-3 bg-indigo-600 text-white rounded hover:bg-indigo-700"
+              onClick={() => {
+                goToQuestion(currentIndex);
+                setStep(answeredCount === questions.length && resuming ? "review" : "interview");
+              }}
+              disabled={!progressLoaded}
+              className="px-6 py-3 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:opacity-50"
             >
-              Start Interview
+              {resuming ? "Resume Interview" : "Start Interview"}
             </button>
           </motion.div>
         )}
 
+        {/* The interview's countdown carries on through the review step, and submits when it ends */}
+        {interviewDeadline && !accessProblem && (step === "interview" || step === "review") && (
+          <div className="flex justify-end mb-2">
+            <Countdown
+              deadline={interviewDeadline}
+              label="the interview"
+              onExpire={handleInterviewTimeUp}
+            />
+          </div>
+        )}
+
         {/* Step 2 – Interview (Questions) */}
          {step === "interview" && (
           <>
@@ -168,48 +600,107 @@ export default function TakeInterview({ applicant: applicantProp }) {
                 animate={{ opacity: 1, x: 0 }}
                 transition={{ duration: 0.4 }}
               >
-                <p className="text-sm text-gray-500 mb-2">
-                  Question {currentIndex + 1} of {questions.length}
-                </p>
+                <div className="flex justify-between items-start gap-4 mb-2">
+                  <p className="text-sm text-gray-500">
+                    Question {currentIndex + 1} of {questions.length}
+                  </p>
+                  {/* A question's own countdown only matters if it ends before the interview's */}
+                  {questionDeadline && (!interviewDeadline || questionDeadline < interviewDeadline) && (
+                    <Countdown
+                      deadline={questionDeadline}
+                      label="this question"
+                      onExpire={handleQuestionTimeUp}
+                    />
+                  )}
+                </div>
                 <h2 className="text-lg font-semibold mb-4">
                   {questions[currentIndex].question}
                 </h2>
 
-                <div className="mb-4">
-                  <p className="text-sm text-gray-500">
-                    🎤 Microphone: {listening ? "on" : "off"}
-                  </p>
-                  <div className="flex gap-2 mt-2">
-                    {!listening && !answers[questions[currentIndex].id] && (
-                      <button
-                        type="button"
-                        onClick={() =>
-                          SpeechRecognition.startListening({ continuous: true })
-                        }
-                        className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700"
-                      >
-                        Start Recording
-                      </button>
-                    )}
-                    {listening && (
+                {/* Answer mode */}
+                {browserSupportsSpeechRecognition ? (
+                  <div className="flex gap-2 mb-4 text-sm">
+                    {[
+                      ["voice", "🎤 Speak"],
+                      ["type", "⌨️ Type"],
+                      ["mixed", "🎤 + ⌨️ Both"],
+                    ].map(([value, label]) => (
                       <button
+                        key={value}
                         type="button"
-                        onClick={SpeechRecognition.stopListening}
-                        className="px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600"
+                        onClick={() => handleModeChange(value)}
+                        className={`px-3 py-1 rounded cursor-pointer ${
+                          mode === value ? "bg-indigo-600 text-white" : "bg-gray-100 hover:bg-gray-200"
+                        }`}
                       >
-                        Pause
+                        {label}
                       </button>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="mb-4 text-sm text-yellow-700 bg-yellow-50 rounded p-3">
+                    Your browser doesn't support speech recognition, so please type your answers.
+                  </p>
+                )}
+
+                {mode !== "voice" && (
+                  <textarea
+                    value={typed}
+                    onChange={(e) => setTyped(e.target.value)}
+                    placeholder="Type your answer"
+                    rows={5}
+                    className="w-full border rounded px-3 py-2 mb-4"
+                  />
+                )}
+
+                {mode !== "type" && (
+                  <div className="mb-4">
+                    <p className="text-sm text-gray-500">
+                      🎤 Microphone: {listening ? "on" : "off"}
+                      {recorder.recording && <span className="ml-2 text-red-600">● Recording audio</span>}
+                    </p>
+                    {!isMicrophoneAvailable && (
+                      <p className="text-sm text-red-600 mt-1">
+                        Microphone access was blocked. Allow it in your browser, or type your answer.
+                      </p>
                     )}
+                    <div className="flex gap-2 mt-2">
+                      {!listening && (mode === "mixed" || !answers[questions[currentIndex].id]) && (
+                        <button
+                          type="button"
+                          onClick={startListening}
+                          className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700"
+                        >
+                          {mode === "mixed" ? "Dictate" : "Start Recording"}
+                        </button>
+                      )}
+                      {listening && (
+                        <button
+                          type="button"
+                          onClick={SpeechRecognition.stopListening}
+                          className="px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600"
+                        >
+                          Pause
+                        </button>
+                      )}
+                    </div>
+                    <p className="mt-2 text-gray-700 italic">
+                      {mode === "voice" ? transcript || answers[questions[currentIndex].id] : transcript}
+                    </p>
                   </div>
-                  <p className="mt-2 text-gray-700 italic">{transcript}</p>
-                </div>
+                )}
 
                 <div className="flex justify-between">
                   <button
                     onClick={handleNext}
-                    className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer"
+                    disabled={saving}
+                    className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 cursor-pointer disabled:opacity-50"
                   >
-                    {currentIndex < questions.length - 1 ? "Next" : "Review Answers"}
+                    {saving
+                      ? "Saving..."
+                      : currentIndex < questions.length - 1
+                      ? "Next"
+                      : "Review Answers"}
                   </button>
                 </div>
               </motion.div>
@@ -221,11 +712,25 @@ export default function TakeInterview({ applicant: applicantProp }) {
         {step === "review" && (
           <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
             <h2 className="text-xl font-bold mb-4">Review Your Answers</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              {timed
+                ? "This interview is timed, so answers can no longer be changed."
+                : "You can correct your answers before submitting."}
+            </p>
             <ul className="space-y-4 mb-6">
               {questions.map((q) => (
                 <li key={q.id}>
                   <p className="font-medium">{q.question}</p>
-                  <p className="text-gray-600">{answers[q.id] || "No answer"}</p>
+                  <textarea
+                    value={answers[q.id] || ""}
+                    onChange={(e) =>
+                      setAnswers((prev) => ({ ...prev, [q.id]: e.target.value }))
+                    }
+                    placeholder="No answer"
+                    readOnly={timed}
+                    rows={3}
+                    className="w-full border rounded px-3 py-2 mt-1 text-gray-700"
+                  />
                 </li>
               ))}
             </ul>
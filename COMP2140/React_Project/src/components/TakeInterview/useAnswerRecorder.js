@@ -0,0 +1,90 @@
+import { useState, useRef, useEffect, useCallback } from "react";
+
+// Recording formats to try, in order of preference (browsers support different ones)
+const MIME_TYPES = ["audio/webm;codecs=opus", "audio/webm", "audio/ogg;codecs=opus", "audio/mp4"];
+
+/**
+ * useAnswerRecorder Hook
+ *
+ * Records the audio of one spoken answer with `MediaRecorder`.
+ * - `start()` begins a recording, or resumes a paused one
+ * - `pause()` pauses it, so several dictated parts make one recording
+ * - `stop()` ends it and resolves with the audio Blob (null if nothing was recorded)
+ * The microphone is released when a recording stops or the component unmounts.
+ *
+ * @returns {{ supported: boolean, recording: boolean, start: () => Promise<void>,
+ *   pause: () => void, stop: () => Promise<Blob|null> }}
+*/
+export default function useAnswerRecorder() {
+  const [recording, setRecording] = useState(false);
+  const recorderRef = useRef(null);
+  const chunksRef = useRef([]);
+
+  const supported =
+    typeof window !== "undefined" &&
+    "MediaRecorder" in window &&
+    !!navigator.mediaDevices?.getUserMedia;
+
+  // Stop the microphone tracks of the current recorder
+  const release = (recorder) => {
+    recorder.stream.getTracks().forEach((track) => track.stop());
+  };
+
+  const start = useCallback(async () => {
+    if (!supported) return;
+    const current = recorderRef.current;
+    if (current) {
+      if (current.state === "paused") current.resume();
+      setRecording(true);
+      return;
+    }
+
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const mimeType = MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    chunksRef.current = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) chunksRef.current.push(e.data);
+    };
+    recorder.start();
+    recorderRef.current = recorder;
+    setRecording(true);
+  }, [supported]);
+
+  const pause = useCallback(() => {
+    const recorder = recorderRef.current;
+    if (recorder?.state === "recording") recorder.pause();
+    setRecording(false);
+  }, []);
+
+  const stop = useCallback(() => {
+    const recorder = recorderRef.current;
+    recorderRef.current = null;
+    setRecording(false);
+    if (!recorder) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      recorder.onstop = () => {
+        release(recorder);
+        const chunks = chunksRef.current;
+        chunksRef.current = [];
+        resolve(chunks.length ? new Blob(chunks, { type: recorder.mimeType }) : null);
+      };
+      recorder.stop();
+    });
+  }, []);
+
+  // Release the microphone if the applicant leaves mid-recording
+  useEffect(() => {
+    return () => {
+      const recorder = recorderRef.current;
+      if (recorder) {
+        recorder.onstop = null;
+        if (recorder.state !== "inactive") recorder.stop();
+        release(recorder);
+      }
+    };
+  }, []);
+
+  return { supported, recording, start, pause, stop };
+}
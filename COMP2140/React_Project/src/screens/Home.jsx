@@ -1,14 +1,17 @@
 import React from 'react'
 import Navbar from '../components/Home/Navbar'
 import LandingPage from '../components/Home/LandingPage'
+import Dashboard from '../components/Home/Dashboard'
 import Footer from '../components/Home/Footer'
+import { getUsername } from '../services/auth'
 
 
+// Signed-in interviewers see their hiring analytics instead of the landing page
 const Home = () => {
   return (
     <div>
       <Navbar/>
-      <LandingPage/>
+      {getUsername() ? <Dashboard/> : <LandingPage/>}
       <Footer/>
     </div>
   )
@@ -0,0 +1,16 @@
+import React from 'react'
+import Navbar from '../components/Home/Navbar'
+import Footer from '../components/Home/Footer'
+import LibraryCard from '../components/Library/LibraryCard'
+
+const Library = () => {
+  return (
+    <div>
+      <Navbar/>
+      <LibraryCard/>
+      <Footer/>
+    </div>
+  )
+}
+
+export default Library
\ No newline at end of file
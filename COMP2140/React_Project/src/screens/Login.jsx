@@ -0,0 +1,16 @@
+import React from 'react'
+import Navbar from '../components/Home/Navbar'
+import Footer from '../components/Home/Footer'
+import LoginForm from '../components/Auth/LoginForm'
+
+const Login = () => {
+  return (
+    <div>
+      <Navbar/>
+      <LoginForm/>
+      <Footer/>
+    </div>
+  )
+}
+
+export default Login
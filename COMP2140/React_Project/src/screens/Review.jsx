@@ -0,0 +1,16 @@
+import React from 'react'
+import Navbar from '../components/Home/Navbar'
+import Footer from '../components/Home/Footer'
+import ApplicantReview from '../components/Review/ApplicantReview'
+
+const Review = () => {
+  return (
+    <div>
+      <Navbar/>
+      <ApplicantReview/>
+      <Footer/>
+    </div>
+  )
+}
+
+export default Review
@@ -0,0 +1,15 @@
+// Base URL for the hosted Interview App RESTful API
+const DEFAULT_BASE_URL = 'https://comp2140a2.uqcloud.net/api';
+
+/**
+ * Adapter that forwards requests to a real PostgREST server over the network.
+ *
+ * @param {string} [baseUrl] - The API base URL, defaults to the hosted course API.
+ * @returns {{ name: string, request: (endpoint: string, options: object) => Promise<Response> }}
+ */
+export function createHttpAdapter(baseUrl = DEFAULT_BASE_URL) {
+  return {
+    name: 'http',
+    request: (endpoint, options) => fetch(`${baseUrl}${endpoint}`, options),
+  };
+}
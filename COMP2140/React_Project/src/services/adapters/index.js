@@ -0,0 +1,29 @@
+import { createHttpAdapter } from './httpAdapter';
+import { createLocalAdapter } from './localAdapter';
+
+/**
+ * Pick the data backend for `services/api.js` from the Vite env config.
+ *
+ * - `VITE_API_ADAPTER=http` (default): the hosted PostgREST API at `VITE_API_BASE_URL`
+ * - `VITE_API_ADAPTER=memory`: in-memory tables, cleared on every page load
+ * - `VITE_API_ADAPTER=local`: in-memory tables persisted to localStorage
+ *
+ * @param {object} [env=import.meta.env] - The environment to read the settings from.
+ * @returns {object} - An adapter exposing `request(endpoint, options)`.
+ */
+export function createAdapter(env = import.meta.env) {
+  const kind = env.VITE_API_ADAPTER || 'http';
+
+  switch (kind) {
+    case 'http':
+      return createHttpAdapter(env.VITE_API_BASE_URL || undefined);
+    case 'memory':
+      return createLocalAdapter();
+    case 'local':
+      return createLocalAdapter({ storage: window.localStorage });
+    default:
+      throw new Error(`Unsupported API adapter: ${kind}`);
+  }
+}
+
+export { createHttpAdapter, createLocalAdapter };
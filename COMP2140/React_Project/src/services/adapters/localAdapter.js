@@ -0,0 +1,373 @@
+/**
+ * In-browser stand-in for the PostgREST API.
+ *
+ * It answers the same requests `apiRequest` sends to the hosted server, so the
+ * app can run offline and in UI tests. Only the PostgREST idioms the app uses
+ * are understood:
+ * - `/table?column=eq.value` filters on GET, PATCH and DELETE, plus `in`, `ilike`,
+ *   `cs` (array contains) and their `not.` negations
+ * - `wfts` full-text search, approximated by matching word stems (no dictionary)
+ * - `select`, `order`, `limit` and `offset` query params, and the `Range` header
+ * - `Prefer: count=exact`, answered with a `Content-Range` total
+ * - `Prefer: return=representation` to get inserted/updated rows back
+ * - empty 204 responses for DELETE (and for writes without representation)
+ * - a Bearer JWT whose `username` claim scopes every row, like the server's
+ *   row-level security (the signature is not checked)
+ *
+ * See https://docs.postgrest.org/en/v12/references/api/tables_views.html
+ */
+import { decodeJwt } from '../auth';
+
+const DEFAULT_STORAGE_KEY = 'readysethire-db';
+
+// Query params that are not column filters
+const RESERVED_PARAMS = ['select', 'order', 'limit', 'offset'];
+
+/**
+ * Split the body of an `in.(a,"b,c")` list or a `cs.{a,"b c"}` array into its values.
+ */
+function parseList(arg) {
+  const inner = arg.replace(/^[({]/, '').replace(/[)}]$/, '');
+  const values = [];
+  const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|([^,]*))\s*(?:,|$)/g;
+  let match;
+  while (pattern.lastIndex < inner.length && (match = pattern.exec(inner))) {
+    values.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim());
+  }
+  return values;
+}
+
+/**
+ * Turn an `ilike` pattern (with `*` or `%` wildcards) into a case-insensitive RegExp.
+ */
+function likeToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Reduce text to the rough stems of its words, e.g. "Testing hooks" → ["test", "hook"].
+ */
+function wordStems(text) {
+  return String(text)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => (word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word));
+}
+
+/**
+ * Match text against a web-style search (`wfts`): every word of any `or` alternative
+ * must appear, and no `-excluded` word. Quoted phrases are matched word by word.
+ */
+function matchesWebSearch(value, terms) {
+  if (value == null) return false;
+  const words = new Set(wordStems(value));
+  return terms.split(/\s+or\s+/i).some((alternative) =>
+    alternative.split(/\s+/).filter(Boolean).every((term) => {
+      const excluded = term.startsWith('-');
+      const found = wordStems(excluded ? term.slice(1) : term).every((stem) => words.has(stem));
+      return excluded ? !found : found;
+    })
+  );
+}
+
+// Horizontal filter operators, keyed by their PostgREST name
+const OPERATORS = {
+  eq: (value, arg) => String(value) === arg,
+  in: (value, arg) => parseList(arg).includes(String(value)),
+  ilike: (value, arg) => value != null && likeToRegExp(arg).test(String(value)),
+  cs: (value, arg) => Array.isArray(value) && parseList(arg).every((item) => value.map(String).includes(item)),
+  wfts: (value, arg) => matchesWebSearch(value, arg),
+};
+
+/**
+ * Build a fetch-style Response with a PostgREST JSON body.
+ */
+function jsonResponse(status, data, headers = {}) {
+  return new Response(data === undefined ? null : JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+  });
+}
+
+/**
+ * Build an error Response shaped like a PostgREST error body.
+ */
+function errorResponse(status, code, message) {
+  return jsonResponse(status, { code, message, details: null, hint: null });
+}
+
+/**
+ * Error raised while interpreting a request, carries the HTTP status to reply with.
+ */
+class LocalApiError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Parse one `column=operator.value` filter into a row predicate.
+ */
+function parseFilter(column, expression) {
+  const negated = expression.startsWith('not.');
+  const rest = negated ? expression.slice(4) : expression;
+  const dot = rest.indexOf('.');
+  // Full-text operators may name a search config, e.g. `wfts(english)`
+  const operator = rest.slice(0, dot).replace(/\(\w+\)$/, '');
+
+  if (dot === -1 || !OPERATORS[operator]) {
+    throw new LocalApiError(400, 'PGRST100', `Unsupported filter "${column}=${expression}"`);
+  }
+
+  const arg = rest.slice(dot + 1);
+  return (row) => OPERATORS[operator](row[column], arg) !== negated;
+}
+
+/**
+ * Parse an `order=col.desc,other.asc` param into a row comparator.
+ */
+function parseOrder(order) {
+  const terms = order.split(',').map((term) => {
+    const [column, ...modifiers] = term.split('.');
+    const descending = modifiers.includes('desc');
+    return {
+      column,
+      descending,
+      // Postgres puts nulls last when ascending and first when descending
+      nullsFirst: modifiers.includes('nullsfirst') || (descending && !modifiers.includes('nullslast')),
+    };
+  });
+
+  return (a, b) => {
+    for (const { column, descending, nullsFirst } of terms) {
+      const x = a[column];
+      const y = b[column];
+      if (x == null || y == null) {
+        if (x == null && y == null) continue;
+        return (x == null) === nullsFirst ? -1 : 1;
+      }
+      const result = typeof x === 'number' && typeof y === 'number'
+        ? x - y
+        : String(x).localeCompare(String(y), undefined, { numeric: true });
+      if (result !== 0) return descending ? -result : result;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Split an endpoint such as `/question?id=eq.4&order=id.desc` into its table,
+ * row filters and read modifiers (select, order, limit, offset).
+ */
+function parseEndpoint(endpoint) {
+  const [path, search = ''] = endpoint.split('?');
+  const table = path.replace(/^\//, '');
+  const filters = [];
+  const modifiers = {};
+
+  for (const [key, value] of new URLSearchParams(search)) {
+    if (RESERVED_PARAMS.includes(key)) {
+      modifiers[key] = value;
+    } else {
+      filters.push(parseFilter(key, value));
+    }
+  }
+
+  return {
+    table,
+    filters,
+    columns: modifiers.select && modifiers.select !== '*'
+      ? modifiers.select.split(',').map((c) => c.trim())
+      : null,
+    compare: modifiers.order ? parseOrder(modifiers.order) : null,
+    limit: modifiers.limit !== undefined ? Number(modifiers.limit) : null,
+    offset: modifiers.offset !== undefined ? Number(modifiers.offset) : 0,
+  };
+}
+
+/**
+ * Read a `Range: 0-9` request header into zero based, inclusive bounds.
+ */
+function parseRange(headers) {
+  const match = /^(\d+)-(\d*)$/.exec(new Headers(headers || {}).get('Range') || '');
+  if (!match) return null;
+  return { from: Number(match[1]), to: match[2] === '' ? Infinity : Number(match[2]) };
+}
+
+/**
+ * Read the `Prefer` header preferences regardless of how the headers were supplied.
+ */
+function preferences(headers) {
+  const prefer = new Headers(headers || {}).get('Prefer') || '';
+  return prefer.split(',').map((p) => p.trim());
+}
+
+/**
+ * Read the claims of the Bearer token in the Authorization header.
+ */
+function authenticate(headers) {
+  const authorization = new Headers(headers || {}).get('Authorization') || '';
+  const [scheme, token] = authorization.split(' ');
+  const claims = scheme === 'Bearer' && token ? decodeJwt(token) : null;
+  return claims?.username ? claims : null;
+}
+
+/**
+ * Create an adapter that keeps every table in memory.
+ *
+ * @param {object} [config]
+ * @param {Storage|null} [config.storage=null] - Optional Web Storage to persist tables in (e.g. localStorage).
+ * @param {string} [config.storageKey] - Key used inside `storage`.
+ * @param {object} [config.seed] - Initial rows, as `{ tableName: [row, ...] }`, used when storage is empty.
+ * @returns {{ name: string, request: (endpoint: string, options: object) => Promise<Response>, reset: () => void }}
+ */
+export function createLocalAdapter({ storage = null, storageKey = DEFAULT_STORAGE_KEY, seed = {} } = {}) {
+  let db = load();
+
+  function load() {
+    const saved = storage?.getItem(storageKey);
+    if (saved) {
+      return JSON.parse(saved);
+    }
+
+    // Continue the id sequence after any seeded rows
+    const tables = structuredClone(seed);
+    const sequences = {};
+    for (const [table, rows] of Object.entries(tables)) {
+      sequences[table] = rows.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0);
+    }
+    return { tables, sequences };
+  }
+
+  function save() {
+    storage?.setItem(storageKey, JSON.stringify(db));
+  }
+
+  function rowsOf(table) {
+    if (!db.tables[table]) {
+      db.tables[table] = [];
+      db.sequences[table] = 0;
+    }
+    return db.tables[table];
+  }
+
+  function matches(row, filters) {
+    return filters.every((filter) => filter(row));
+  }
+
+  function handleGet({ table, filters, columns, compare, limit, offset }, range, countExact) {
+    let rows = rowsOf(table).filter((row) => matches(row, filters));
+    if (compare) {
+      rows = [...rows].sort(compare);
+    }
+    const total = rows.length;
+
+    // limit/offset params are applied first, then the Range header within them
+    let from = offset;
+    let to = limit !== null ? offset + limit - 1 : total - 1;
+    if (range) {
+      from += range.from;
+      to = Math.min(to, offset + range.to);
+    }
+    to = Math.min(to, total - 1);
+
+    const page = rows.slice(from, to + 1).map((row) =>
+      columns ? Object.fromEntries(columns.map((c) => [c, row[c] ?? null])) : row
+    );
+
+    const contentRange = `${page.length ? `${from}-${from + page.length - 1}` : '*'}/${countExact ? total : '*'}`;
+    const status = countExact && page.length < total ? 206 : 200;
+    return jsonResponse(status, page, { 'Content-Range': contentRange });
+  }
+
+  function handlePost(table, body, representation, username) {
+    const payload = Array.isArray(body) ? body : [body];
+    const rows = rowsOf(table);
+
+    const created = payload.map((values) => {
+      db.sequences[table] += 1;
+      const row = { ...values, username, id: db.sequences[table] };
+      rows.push(row);
+      return row;
+    });
+    save();
+
+    return representation ? jsonResponse(201, created) : jsonResponse(201);
+  }
+
+  function handlePatch(table, filters, body, representation) {
+    // The primary key can't be changed through a PATCH body
+    const { id: _ignored, ...changes } = body || {};
+    const updated = [];
+
+    db.tables[table] = rowsOf(table).map((row) => {
+      if (!matches(row, filters)) return row;
+      const next = { ...row, ...changes };
+      updated.push(next);
+      return next;
+    });
+    save();
+
+    return representation ? jsonResponse(200, updated) : jsonResponse(204);
+  }
+
+  function handleDelete(table, filters, representation) {
+    const removed = rowsOf(table).filter((row) => matches(row, filters));
+    db.tables[table] = rowsOf(table).filter((row) => !matches(row, filters));
+    save();
+
+    return representation ? jsonResponse(200, removed) : jsonResponse(204);
+  }
+
+  async function request(endpoint, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const prefer = preferences(options.headers);
+    const representation = prefer.includes('return=representation');
+
+    const claims = authenticate(options.headers);
+    if (!claims) {
+      return errorResponse(401, 'PGRST301', 'JWT missing or has no username claim');
+    }
+
+    try {
+      const parsed = parseEndpoint(endpoint);
+      const { table, filters } = parsed;
+      const body = options.body ? JSON.parse(options.body) : null;
+
+      // Row-level security: only the signed-in user's rows are visible
+      filters.push((row) => row.username === claims.username);
+
+      switch (method) {
+        case 'GET':
+          return handleGet(parsed, parseRange(options.headers), prefer.includes('count=exact'));
+        case 'POST':
+          return handlePost(table, body, representation, claims.username);
+        case 'PATCH':
+          return handlePatch(table, filters, body, representation);
+        case 'DELETE':
+          return handleDelete(table, filters, representation);
+        default:
+          return errorResponse(405, 'PGRST117', `Unsupported HTTP method "${method}"`);
+      }
+    } catch (err) {
+      if (err instanceof LocalApiError) {
+        return errorResponse(err.status, err.code, err.message);
+      }
+      return errorResponse(400, 'PGRST102', err.message);
+    }
+  }
+
+  /**
+   * Drop every stored row and restart from the seed data.
+   */
+  function reset() {
+    storage?.removeItem(storageKey);
+    db = load();
+  }
+
+  return { name: storage ? 'local' : 'memory', request, reset };
+}
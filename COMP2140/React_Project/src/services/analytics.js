@@ -0,0 +1,150 @@
+import { DIFFICULTIES, SCORES } from './schemas';
+
+// Buckets for the time from invitation to completion (upper bound in hours)
+const COMPLETION_BUCKETS = [
+  { label: 'Under 1 day', max: 24 },
+  { label: '1–3 days', max: 72 },
+  { label: '3–7 days', max: 168 },
+  { label: 'Over 7 days', max: Infinity },
+];
+
+/**
+ * Count questions, applicants and applicant statuses per interview.
+ *
+ * @param {Array<object>} questions - Question rows.
+ * @param {Array<object>} applicants - Applicant rows.
+ * @returns {{ questionCounts: object, applicantCounts: object, statusCounts: object }}
+ *   - counts by interview id; `statusCounts` maps interview id → status → count
+ */
+export function interviewStats(questions, applicants) {
+  const questionCounts = {};
+  questions.forEach((q) => {
+    questionCounts[q.interview_id] = (questionCounts[q.interview_id] || 0) + 1;
+  });
+
+  const applicantCounts = {};
+  const statusCounts = {};
+  applicants.forEach((a) => {
+    applicantCounts[a.interview_id] = (applicantCounts[a.interview_id] || 0) + 1;
+    if (!statusCounts[a.interview_id]) {
+      statusCounts[a.interview_id] = { Completed: 0, 'In Progress': 0, 'Not Started': 0 };
+    }
+    statusCounts[a.interview_id][a.interview_status] =
+      (statusCounts[a.interview_id][a.interview_status] || 0) + 1;
+  });
+
+  return { questionCounts, applicantCounts, statusCounts };
+}
+
+/**
+ * The job roles of the interviews, sorted and without repeats.
+ */
+export function jobRoles(interviews) {
+  return [...new Set(interviews.map((i) => i.job_role).filter(Boolean))].sort((a, b) =>
+    a.localeCompare(b)
+  );
+}
+
+/**
+ * Median of a list of numbers, or null if it is empty.
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Whether an applicant was invited within a date range (`YYYY-MM-DD`, inclusive, local time).
+ * Applicants with no invitation time only match when there is no range.
+ */
+function invitedWithin(applicant, from, to) {
+  if (!from && !to) return true;
+  if (!applicant.invited_at) return false;
+  const invited = new Date(applicant.invited_at).getTime();
+  if (from && invited < new Date(`${from}T00:00`).getTime()) return false;
+  if (to && invited >= new Date(`${to}T00:00`).getTime() + 86400000) return false;
+  return true;
+}
+
+/**
+ * Work out the hiring analytics across interviews.
+ *
+ * @param {object} data
+ * @param {Array<object>} data.interviews - Interview rows.
+ * @param {Array<object>} data.questions - Question rows.
+ * @param {Array<object>} data.applicants - Applicant rows.
+ * @param {Array<object>} data.answers - Applicant answer rows (`applicant_id` and `score` are used).
+ * @param {object} [filters]
+ * @param {string} [filters.from] - Only applicants invited on or after this date (`YYYY-MM-DD`).
+ * @param {string} [filters.to] - Only applicants invited on or before this date (`YYYY-MM-DD`).
+ * @param {string} [filters.jobRole] - Only interviews for this job role.
+ * @returns {{
+ *   funnel: { invited: number, started: number, completed: number },
+ *   completion: { count: number, medianHours: number|null, averageHours: number|null,
+ *     buckets: Array<{ label: string, count: number }> },
+ *   difficulty: Array<{ interview: object, counts: object, total: number }>,
+ *   scores: { answers: Array<number>, applicants: Array<number> }
+ * }} - `funnel` only counts applicants who have been sent their link (`invited_at`);
+ *   `scores` counts answers, and applicants by rounded average score, for each of SCORES
+ */
+export function buildAnalytics({ interviews, questions, applicants, answers }, { from = '', to = '', jobRole = '' } = {}) {
+  const shownInterviews = interviews.filter((i) => !jobRole || i.job_role === jobRole);
+  const interviewIds = new Set(shownInterviews.map((i) => String(i.id)));
+  const shownApplicants = applicants.filter(
+    (a) => interviewIds.has(String(a.interview_id)) && invitedWithin(a, from, to)
+  );
+
+  // Completion funnel of the applicants sent their link (emailed or copied), which sets `invited_at`
+  const invited = shownApplicants.filter((a) => a.invited_at);
+  const funnel = {
+    invited: invited.length,
+    started: invited.filter((a) => a.interview_status !== 'Not Started').length,
+    completed: invited.filter((a) => a.interview_status === 'Completed').length,
+  };
+
+  // Time from invitation to completion
+  const hours = shownApplicants
+    .filter((a) => a.interview_status === 'Completed' && a.invited_at && a.completed_at)
+    .map((a) => (new Date(a.completed_at) - new Date(a.invited_at)) / 3600000)
+    .filter((h) => h >= 0);
+  const completion = {
+    count: hours.length,
+    medianHours: median(hours),
+    averageHours: hours.length ? hours.reduce((sum, h) => sum + h, 0) / hours.length : null,
+    buckets: COMPLETION_BUCKETS.map((bucket, index) => ({
+      label: bucket.label,
+      count: hours.filter((h) => h < bucket.max && h >= (COMPLETION_BUCKETS[index - 1]?.max ?? 0)).length,
+    })),
+  };
+
+  // Question difficulty per interview
+  const difficulty = shownInterviews.map((interview) => {
+    const counts = Object.fromEntries(DIFFICULTIES.map((d) => [d, 0]));
+    questions.forEach((q) => {
+      if (String(q.interview_id) === String(interview.id) && counts[q.difficulty] !== undefined) {
+        counts[q.difficulty] += 1;
+      }
+    });
+    return { interview, counts, total: Object.values(counts).reduce((sum, c) => sum + c, 0) };
+  });
+
+  // Review scores of the shown applicants' answers, and of each applicant on average
+  const applicantIds = new Set(shownApplicants.map((a) => String(a.id)));
+  const scoresByApplicant = {};
+  answers.forEach((answer) => {
+    if (answer.score == null || !applicantIds.has(String(answer.applicant_id))) return;
+    (scoresByApplicant[answer.applicant_id] ||= []).push(answer.score);
+  });
+  const answerScores = Object.values(scoresByApplicant).flat();
+  const averages = Object.values(scoresByApplicant).map((s) =>
+    Math.round(s.reduce((sum, score) => sum + score, 0) / s.length)
+  );
+  const scores = {
+    answers: SCORES.map((score) => answerScores.filter((s) => s === score).length),
+    applicants: SCORES.map((score) => averages.filter((s) => s === score).length),
+  };
+
+  return { funnel, completion, difficulty, scores };
+}
@@ -0,0 +1,127 @@
+// Session storage key holding the signed-in interviewer's JWT
+const TOKEN_KEY = 'readysethire-token';
+
+// Called whenever an interviewer signs in or out
+const sessionListeners = new Set();
+
+/**
+ * Run a callback whenever an interviewer signs in or out, e.g. to clear data cached for the last one.
+ *
+ * @param {() => void} listener - The callback.
+ * @returns {() => void} - Stops calling it.
+ */
+export function onSessionChange(listener) {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+}
+
+/**
+ * Decode the claims of a JSON Web Token without verifying its signature.
+ * The API verifies the signature; the client only needs the claims (e.g. `username`).
+ *
+ * @param {string} token - The encoded JWT.
+ * @returns {object|null} - The decoded claims, or null if the token is malformed.
+ */
+export function decodeJwt(token) {
+  try {
+    const [, payload] = token.split('.');
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const json = decodeURIComponent(
+      Array.from(atob(base64), (c) => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+    );
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether decoded claims have passed their `exp` time (if they have one).
+ */
+function isExpired(claims) {
+  return typeof claims.exp === 'number' && claims.exp * 1000 <= Date.now();
+}
+
+/**
+ * Get the JWT of the signed-in interviewer.
+ *
+ * @returns {string|null} - The token, or null when nobody is signed in or it has expired.
+ */
+export function getToken() {
+  const token = sessionStorage.getItem(TOKEN_KEY);
+  if (!token) return null;
+
+  const claims = decodeJwt(token);
+  if (!claims || isExpired(claims)) {
+    sessionStorage.removeItem(TOKEN_KEY);
+    return null;
+  }
+  return token;
+}
+
+/**
+ * Get the username claim of the signed-in interviewer, used for row-level security.
+ *
+ * @returns {string|null} - The username, or null when nobody is signed in.
+ */
+export function getUsername() {
+  const token = getToken();
+  return token ? decodeJwt(token).username : null;
+}
+
+/**
+ * Whether an interviewer is currently signed in.
+ */
+export function isSignedIn() {
+  return getToken() !== null;
+}
+
+/**
+ * Sign in with a JWT issued for the Interview App API.
+ * The token is kept in session storage, so it is forgotten when the tab closes.
+ *
+ * @param {string} token - The encoded JWT.
+ * @returns {string} - The username decoded from the token.
+ * @throws Will throw an error if the token is malformed, expired or has no username.
+ */
+export function signIn(token) {
+  const trimmed = token.trim();
+  const claims = decodeJwt(trimmed);
+
+  if (!claims) {
+    throw new Error('That does not look like a valid token');
+  }
+  if (!claims.username) {
+    throw new Error('Token has no username claim');
+  }
+  if (isExpired(claims)) {
+    throw new Error('Token has expired');
+  }
+
+  sessionStorage.setItem(TOKEN_KEY, trimmed);
+  sessionListeners.forEach((listener) => listener());
+  return claims.username;
+}
+
+/**
+ * Forget the signed-in interviewer, and anything cached for them.
+ */
+export function signOut() {
+  sessionStorage.removeItem(TOKEN_KEY);
+  sessionListeners.forEach((listener) => listener());
+}
+
+/**
+ * Called when the API rejects the token (HTTP 401).
+ * Clears the session and sends the user to the sign-in page, then back here afterwards.
+ * Applicants taking an interview (`/interview/...`) are never sent there: they don't sign in.
+ */
+export function handleUnauthorized() {
+  signOut();
+
+  const { pathname, search } = window.location;
+  if (pathname !== '/login' && !pathname.startsWith('/interview/')) {
+    const next = encodeURIComponent(`${pathname}${search}`);
+    window.location.assign(`/login?next=${next}`);
+  }
+}
@@ -0,0 +1,196 @@
+import Papa from 'papaparse';
+import { query, getQuestionsForInterview } from './api';
+import { fetchEntities } from './store';
+
+// PDF page layout (mm, A4 portrait)
+const PAGE = { width: 210, height: 297, margin: 15 };
+
+/**
+ * Load everything needed to report on an interview's results.
+ *
+ * @param {object} interview - The interview.
+ * @param {object} [applicant] - Only report on this applicant (default: every applicant of the interview).
+ * @returns {Promise<{ interview: object, questions: Array, applicants: Array, answers: object }>}
+ *   - `answers` maps applicant id → question id → applicant_answer (the latest one)
+ */
+async function loadResults(interview, applicant = null) {
+  const answerQuery = query('applicant_answer').eq('interview_id', interview.id).order('id');
+  const [questions, applicants, answerRows] = await Promise.all([
+    getQuestionsForInterview(interview.id),
+    applicant ? [applicant] : query('applicant').eq('interview_id', interview.id).order('id').get(),
+    (applicant ? answerQuery.eq('applicant_id', applicant.id) : answerQuery).get(),
+  ]);
+
+  const answers = {};
+  answerRows.forEach((a) => {
+    answers[a.applicant_id] = { ...answers[a.applicant_id], [a.question_id]: a };
+  });
+  return { interview, questions, applicants, answers };
+}
+
+/**
+ * Average reviewer score of an applicant's answers, or null if none are scored.
+ */
+function averageScore(answersByQuestion = {}) {
+  const scores = Object.values(answersByQuestion)
+    .map((a) => a.score)
+    .filter((score) => score != null);
+  return scores.length ? Math.round((scores.reduce((sum, s) => sum + s, 0) / scores.length) * 10) / 10 : null;
+}
+
+/**
+ * Turn text into a safe file name, e.g. "Nurse – Night Shift" → "nurse-night-shift".
+ */
+function fileName(text, extension) {
+  const base = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+  return `${base}.${extension}`;
+}
+
+/**
+ * Make the browser download a file.
+ * The link is added to the page for Firefox, and the file's URL only released once the
+ * download has started (releasing it straight away can cancel it in Firefox and Safari).
+ */
+function download(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Download a spreadsheet (CSV) of every applicant of an interview,
+ * with their status, review and the answer and score for each question.
+ *
+ * @param {object} interview - The interview to export.
+ * @returns {Promise<number>} - The number of applicants exported.
+ */
+export async function exportInterviewCsv(interview) {
+  const { questions, applicants, answers } = await loadResults(interview);
+
+  const fields = [
+    'Title', 'First name', 'Surname', 'Email', 'Phone', 'Status', 'Recommendation', 'Average score',
+    ...questions.flatMap((q, i) => [`Q${i + 1}: ${q.question}`, `Q${i + 1} score`]),
+  ];
+  const data = applicants.map((a) => [
+    a.title, a.firstname, a.surname, a.email_address, a.phone_number, a.interview_status,
+    a.recommendation ?? '', averageScore(answers[a.id]) ?? '',
+    ...questions.flatMap((q) => {
+      const answer = answers[a.id]?.[q.id];
+      return [answer?.answer ?? '', answer?.score ?? ''];
+    }),
+  ]);
+
+  // escapeFormulae stops spreadsheet apps running cells that start with "=", "+", "-" or "@"
+  const csv = Papa.unparse({ fields, data }, { escapeFormulae: true });
+  // The byte order mark makes Excel read the file as UTF-8
+  const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+  download(blob, fileName(`${interview.title} results`, 'csv'));
+  return applicants.length;
+}
+
+/**
+ * Write one applicant's report (details, then each question with the transcript and review)
+ * into a PDF, starting on a new page unless `firstPage`.
+ */
+function writeApplicantReport(doc, { interview, questions, answers }, applicant, firstPage) {
+  if (!firstPage) doc.addPage();
+  const textWidth = PAGE.width - PAGE.margin * 2;
+  let y = PAGE.margin;
+
+  // Write wrapped text, moving to a new page when the current one is full
+  const write = (text, { size = 11, style = 'normal', color = 20, after = 2 } = {}) => {
+    doc.setFont('helvetica', style).setFontSize(size).setTextColor(color);
+    const lineHeight = size * 0.45;
+    doc.splitTextToSize(String(text), textWidth).forEach((line) => {
+      if (y + lineHeight > PAGE.height - PAGE.margin) {
+        doc.addPage();
+        y = PAGE.margin;
+      }
+      doc.text(line, PAGE.margin, y + lineHeight * 0.8);
+      y += lineHeight;
+    });
+    y += after;
+  };
+
+  const applicantAnswers = answers[applicant.id] || {};
+  const average = averageScore(applicantAnswers);
+
+  write(interview.title, { size: 18, style: 'bold', after: 1 });
+  write(interview.job_role, { color: 100, after: 6 });
+  write(`${applicant.title} ${applicant.firstname} ${applicant.surname}`, { size: 14, style: 'bold' });
+  write(`${applicant.email_address} · ${applicant.phone_number}`, { size: 10, color: 80, after: 1 });
+  write(`Status: ${applicant.interview_status}`, { size: 10, color: 80, after: 1 });
+  if (applicant.recommendation) {
+    write(`Recommendation: ${applicant.recommendation}`, { size: 10, color: 80, after: 1 });
+  }
+  if (average !== null) {
+    write(`Average score: ${average} / 5`, { size: 10, color: 80, after: 1 });
+  }
+  if (applicant.review_notes) {
+    write(`Reviewer notes: ${applicant.review_notes}`, { size: 10, color: 80, after: 1 });
+  }
+  y += 5;
+
+  questions.forEach((q, index) => {
+    const answer = applicantAnswers[q.id];
+    write(`Question ${index + 1} · ${q.difficulty}`, { size: 9, color: 110, after: 1 });
+    write(q.question, { style: 'bold' });
+    write(answer ? answer.answer || 'No answer given' : 'No answer submitted', {
+      style: 'italic',
+      color: answer?.answer ? 20 : 110,
+    });
+    if (answer?.score != null || answer?.reviewer_notes) {
+      write(
+        [answer.score != null && `Score: ${answer.score} / 5`, answer.reviewer_notes].filter(Boolean).join(' · '),
+        { size: 9, color: 80 }
+      );
+    }
+    y += 4;
+  });
+}
+
+/**
+ * Create a PDF of applicant reports, loading jsPDF only when it is needed.
+ */
+async function createReportPdf(results) {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  results.applicants.forEach((applicant, index) => {
+    writeApplicantReport(doc, results, applicant, index === 0);
+  });
+  return doc;
+}
+
+/**
+ * Download a printable PDF report of one applicant's interview:
+ * the interview title, each question and the applicant's transcript and review.
+ *
+ * @param {object} applicant - The applicant to export.
+ */
+export async function exportApplicantPdf(applicant) {
+  const [interview] = await fetchEntities('interview', [applicant.interview_id]);
+  if (!interview) {
+    throw new Error("The applicant's interview no longer exists");
+  }
+  const doc = await createReportPdf(await loadResults(interview, applicant));
+  doc.save(fileName(`${applicant.firstname} ${applicant.surname} ${interview.title}`, 'pdf'));
+}
+
+/**
+ * Download a printable PDF with the report of every applicant of an interview, one after another.
+ *
+ * @param {object} interview - The interview to export.
+ * @returns {Promise<number>} - The number of applicants exported.
+ */
+export async function exportInterviewPdf(interview) {
+  const results = await loadResults(interview);
+  if (results.applicants.length === 0) return 0;
+  const doc = await createReportPdf(results);
+  doc.save(fileName(`${interview.title} reports`, 'pdf'));
+  return results.applicants.length;
+}
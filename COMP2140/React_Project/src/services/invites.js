@@ -0,0 +1,76 @@
+// How long an interview invitation stays valid
+export const INVITE_TTL_DAYS = 14;
+
+// Random bytes in an invite token (256 bits, so tokens cannot be guessed)
+const TOKEN_BYTES = 32;
+
+/**
+ * Generate an unguessable, URL-safe invite token.
+ *
+ * @returns {string} - A base64url encoded random token.
+ */
+function generateToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Create a new invitation for an applicant, replacing any earlier one.
+ * Save the result on the applicant (`invite_token`, `invite_expires_at`).
+ * The applicant counts as invited (`invited_at`) only once their link is first emailed or copied.
+ *
+ * @returns {{ invite_token: string, invite_expires_at: string }}
+ */
+export function createInvite() {
+  return {
+    invite_token: generateToken(),
+    invite_expires_at: new Date(Date.now() + INVITE_TTL_DAYS * 86400000).toISOString(),
+  };
+}
+
+/**
+ * Whether an applicant's invitation is missing or has expired.
+ *
+ * @param {object} applicant - The applicant.
+ * @returns {boolean}
+ */
+export function isInviteExpired(applicant) {
+  return (
+    !applicant.invite_token ||
+    !applicant.invite_expires_at ||
+    new Date(applicant.invite_expires_at).getTime() <= Date.now()
+  );
+}
+
+/**
+ * The link an applicant opens to take their interview.
+ *
+ * @param {string} token - The applicant's invite token.
+ * @returns {string}
+ */
+export function inviteLink(token) {
+  return `${window.location.origin}/interview/${token}`;
+}
+
+/**
+ * Why an applicant cannot take their interview, if anything.
+ * An invitation is good for one interview: it stops working once the applicant has completed it.
+ * Only a courtesy for interviewers opening an interview from the Applicants page;
+ * invitation links are checked by the AI server (`src/components/Ai/invitations.js`).
+ *
+ * @param {object} applicant - The applicant.
+ * @param {object} interview - The applicant's interview.
+ * @returns {string|null} - The reason access is refused, or null when the interview can be taken.
+ */
+export function interviewAccessProblem(applicant, interview) {
+  if (applicant.interview_status === 'Completed') {
+    return 'You have already submitted this interview. Thank you!';
+  }
+  if (interview.status !== 'Published') {
+    return 'This interview is not open yet. Please check back later or contact the interviewer.';
+  }
+  return null;
+}
@@ -0,0 +1,228 @@
+import { z } from 'zod';
+
+// Allowed values of the enumerated columns
+export const INTERVIEW_STATUSES = ['Draft', 'Published'];
+export const DIFFICULTIES = ['Easy', 'Intermediate', 'Advanced'];
+export const APPLICANT_TITLES = ['Mr', 'Mrs', 'Miss', 'Other'];
+export const APPLICANT_STATUSES = ['Not Started', 'In Progress', 'Completed'];
+export const LIBRARY_CATEGORIES = ['Technical', 'Behavioural'];
+export const SENIORITIES = ['Junior', 'Mid', 'Senior'];
+
+// Reviewer score scale for an answer (1 = poor, 5 = excellent)
+export const SCORES = [1, 2, 3, 4, 5];
+
+// Row ids are numbers from the hosted API, and may be strings from form selects
+const idSchema = z.union([z.number(), z.string()]);
+
+// An id chosen in a form; an empty select is reported with `message`
+const requiredId = (message) =>
+  z.union([z.number(), z.string().trim().min(1, message)], { errorMap: () => ({ message }) });
+
+// Optional whole number from a number input: empty means no value (null)
+const optionalWholeNumber = (schema) =>
+  z.preprocess((value) => (value === '' || value == null ? null : Number(value)), schema.nullable());
+
+// Required text field, trimmed
+const requiredText = (message) => z.string({ required_error: message }).trim().min(1, message);
+
+// Skill tags, from a list or comma separated text: trimmed, lower case and without repeats
+const tagList = z.preprocess(
+  (value) => {
+    const tags = Array.isArray(value) ? value : String(value ?? '').split(',');
+    return [...new Set(tags.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean))];
+  },
+  z.array(z.string().max(40, 'Tags must be at most 40 characters')).max(20, 'Use at most 20 tags')
+);
+
+// Field rules shared by the forms and the applicant import
+export const applicantFields = {
+  title: z.enum(APPLICANT_TITLES, {
+    errorMap: () => ({ message: `Title must be one of ${APPLICANT_TITLES.join(', ')}` }),
+  }),
+  firstname: requiredText('First name is required'),
+  surname: requiredText('Surname is required'),
+  phone_number: requiredText('Phone number is required').regex(
+    /^\+?[\d\s()-]{6,}$/,
+    'Phone number is not valid'
+  ),
+  email_address: requiredText('Email address is required').email('Email address is not valid'),
+};
+
+/*
+ * Form payloads: what the forms may send to the API.
+ * Other columns (e.g. `id` when editing) are passed through unchanged.
+ */
+
+export const interviewInputSchema = z
+  .object({
+    title: requiredText('Title is required'),
+    job_role: requiredText('Job role is required'),
+    description: requiredText('Description is required'),
+    status: z.enum(INTERVIEW_STATUSES),
+    time_limit_minutes: optionalWholeNumber(
+      z.number().int('Time limit must be a whole number of minutes').min(1, 'Time limit must be at least 1 minute')
+    ),
+  })
+  .passthrough();
+
+export const questionInputSchema = z
+  .object({
+    interview_id: requiredId('Select an interview'),
+    question: requiredText('Question is required'),
+    difficulty: z.enum(DIFFICULTIES),
+    time_limit_seconds: optionalWholeNumber(
+      z.number().int('Time limit must be a whole number of seconds').min(10, 'Time limit must be at least 10 seconds')
+    ),
+  })
+  .passthrough();
+
+export const applicantInputSchema = z
+  .object({
+    ...applicantFields,
+    interview_id: requiredId('Select an interview'),
+    interview_status: z.enum(APPLICANT_STATUSES),
+  })
+  .passthrough();
+
+export const libraryQuestionInputSchema = z
+  .object({
+    question: requiredText('Question is required'),
+    difficulty: z.enum(DIFFICULTIES),
+    category: z.enum(LIBRARY_CATEGORIES, {
+      errorMap: () => ({ message: `Choose ${LIBRARY_CATEGORIES.join(' or ')}` }),
+    }),
+    seniority: z.preprocess((value) => (value === '' ? null : value), z.enum(SENIORITIES).nullish()),
+    tags: tagList,
+  })
+  .passthrough();
+
+/*
+ * Rows returned by the API. These check the shape and types of each row;
+ * columns added after the original schema are optional.
+ */
+
+const interviewRowSchema = z
+  .object({
+    id: idSchema,
+    title: z.string(),
+    job_role: z.string(),
+    description: z.string().nullish(),
+    status: z.enum(INTERVIEW_STATUSES),
+    time_limit_minutes: z.number().nullish(),
+  })
+  .passthrough();
+
+const questionRowSchema = z
+  .object({
+    id: idSchema,
+    interview_id: idSchema,
+    question: z.string(),
+    difficulty: z.enum(DIFFICULTIES),
+    sort_order: z.number().nullish(),
+    time_limit_seconds: z.number().nullish(),
+    library_question_id: idSchema.nullish(),
+  })
+  .passthrough();
+
+const libraryQuestionRowSchema = z
+  .object({
+    id: idSchema,
+    question: z.string(),
+    difficulty: z.enum(DIFFICULTIES),
+    category: z.enum(LIBRARY_CATEGORIES),
+    seniority: z.enum(SENIORITIES).nullish(),
+    tags: z.array(z.string()).nullish(),
+  })
+  .passthrough();
+
+const applicantRowSchema = z
+  .object({
+    id: idSchema,
+    interview_id: idSchema,
+    title: z.string(),
+    firstname: z.string(),
+    surname: z.string(),
+    phone_number: z.string(),
+    email_address: z.string(),
+    interview_status: z.enum(APPLICANT_STATUSES),
+    recommendation: z.string().nullish(),
+    review_notes: z.string().nullish(),
+    invite_token: z.string().nullish(),
+    invite_expires_at: z.string().nullish(),
+    invited_at: z.string().nullish(),
+    started_at: z.string().nullish(),
+    completed_at: z.string().nullish(),
+    email_log: z.array(z.object({ type: z.string(), to: z.string(), sent_at: z.string() })).nullish(),
+  })
+  .passthrough();
+
+const applicantAnswerRowSchema = z
+  .object({
+    id: idSchema,
+    applicant_id: idSchema,
+    question_id: idSchema,
+    interview_id: idSchema.nullish(),
+    answer: z.string().nullish(),
+    score: z.number().int().min(SCORES[0]).max(SCORES[SCORES.length - 1]).nullish(),
+    reviewer_notes: z.string().nullish(),
+    audio_url: z.string().nullish(),
+    time_spent_seconds: z.number().nullish(),
+    started_at: z.string().nullish(),
+  })
+  .passthrough();
+
+// Row schema by table (endpoint) name
+export const rowSchemas = {
+  interview: interviewRowSchema,
+  question: questionRowSchema,
+  library_question: libraryQuestionRowSchema,
+  applicant: applicantRowSchema,
+  applicant_answer: applicantAnswerRowSchema,
+};
+
+/**
+ * Check the rows the API returned for a table.
+ * Tables without a schema are returned unchecked.
+ *
+ * @param {string} table - The table the rows come from, e.g. 'applicant'.
+ * @param {Array<object>} rows - The rows from the response body.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - Rows only hold some columns (a `select` query).
+ * @returns {Array<object>} - The rows.
+ * @throws Will throw an error naming the first malformed row and field.
+ */
+export function parseRows(table, rows, { partial = false } = {}) {
+  const schema = rowSchemas[table];
+  if (!schema) return rows;
+
+  const result = z.array(partial ? schema.partial() : schema).safeParse(rows);
+  if (!result.success) {
+    const [issue] = result.error.issues;
+    const [index, ...field] = issue.path;
+    throw new Error(
+      field.length > 0
+        ? `Malformed ${table} data from the API (row ${index + 1}, ${field.join('.')}: ${issue.message})`
+        : `Malformed ${table} data from the API (${issue.message})`
+    );
+  }
+  return result.data;
+}
+
+/**
+ * Validate form data against an input schema.
+ *
+ * @param {import('zod').ZodTypeAny} schema - One of the input schemas.
+ * @param {object} data - The form data.
+ * @returns {{ data: object|null, errors: object }} - The cleaned data (null if invalid)
+ *   and the first error message of each invalid field, by field name.
+ */
+export function validateForm(schema, data) {
+  const result = schema.safeParse(data);
+  if (result.success) return { data: result.data, errors: {} };
+
+  const errors = {};
+  Object.entries(result.error.flatten().fieldErrors).forEach(([field, messages]) => {
+    errors[field] = messages[0];
+  });
+  return { data: null, errors };
+}
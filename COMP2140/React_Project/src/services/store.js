@@ -0,0 +1,440 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { query, libraryQuestionQuery } from './api';
+import { onSessionChange } from './auth';
+
+/**
+ * Shared client-side cache for interviews, questions, applicants and the question bank.
+ *
+ * Rows are normalised by table and id, so every screen sees the same copy of a row.
+ * On top of that, collections cache the ids a query returned (a list screen, a filter,
+ * the pages loaded so far). Screens get cached data instantly and it is revalidated
+ * in the background when stale:
+ * - `useCollection` for lists, optionally paged
+ * - `useEntities` / `fetchEntities` for rows by id, batched into one `id=in.(...)` request
+ * - `saveEntities` / `removeEntity` / `invalidate` after mutations
+ * Rows a collection only selected some columns of are kept for that collection, but are
+ * fetched in full when asked for by id.
+ * The cache belongs to the signed-in interviewer: it is cleared when anyone signs in or out.
+ */
+
+// Cached collections are refetched on mount once they are older than this (ms)
+const STALE_AFTER = 30000;
+
+const entities = {}; // table → Map(id → row)
+const partialIds = {}; // table → Set(id) of rows only some columns are known of
+const collections = new Map(); // key → collection entry
+const inflightEntities = new Map(); // `${table}:${id}` → Promise<row|null>
+const batches = {}; // table → { ids: Set, promise } waiting to be sent
+const listeners = new Set();
+let version = 0;
+let generation = 0; // bumped by clearStore, so requests sent before it are not cached
+
+function notify() {
+  version += 1;
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getVersion() {
+  return version;
+}
+
+function tableOf(table) {
+  if (!entities[table]) {
+    entities[table] = new Map();
+  }
+  return entities[table];
+}
+
+function partialOf(table) {
+  if (!partialIds[table]) {
+    partialIds[table] = new Set();
+  }
+  return partialIds[table];
+}
+
+function mergeRows(table, rows, { partial = false } = {}) {
+  const map = tableOf(table);
+  const partials = partialOf(table);
+  rows.forEach((row) => {
+    const id = String(row.id);
+    const known = map.get(id);
+    map.set(id, { ...known, ...row });
+    if (!partial) {
+      partials.delete(id);
+    } else if (!known) {
+      partials.add(id);
+    }
+  });
+}
+
+// A cached row with every column, or undefined
+function fullEntity(table, id) {
+  return partialOf(table).has(id) ? undefined : tableOf(table).get(id);
+}
+
+/**
+ * Store rows returned by the API (e.g. after a create or update) and
+ * revalidate the collections of that table, since a row may now join or leave a list.
+ *
+ * @param {string} table - The table the rows belong to.
+ * @param {Array<object>} rows - Full rows, as returned with `return=representation`.
+ * @param {object} [options]
+ * @param {Array<string>} [options.appendTo=[]] - Collection keys to show new rows in straight away.
+ * @param {boolean} [options.revalidate=true] - Refetch the table's collections. Pass false for
+ *   optimistic rows that are not saved yet, so a refetch does not drop them.
+ */
+export function saveEntities(table, rows, { appendTo = [], revalidate = true } = {}) {
+  mergeRows(table, rows);
+
+  appendTo.forEach((key) => {
+    const entry = collections.get(key);
+    if (!entry) return;
+    const added = rows.map((row) => String(row.id)).filter((id) => !entry.ids.includes(id));
+    entry.ids = [...entry.ids, ...added];
+    if (entry.total !== null) entry.total += added.length;
+  });
+
+  if (revalidate) {
+    invalidate(table);
+  } else {
+    notify();
+  }
+}
+
+/**
+ * Drop a deleted row from the cache and from every collection listing it.
+ *
+ * @param {string} table - The table the row belonged to.
+ * @param {string|number} id - The ID of the deleted row.
+ */
+export function removeEntity(table, id) {
+  const key = String(id);
+  tableOf(table).delete(key);
+
+  collections.forEach((entry) => {
+    if (entry.table === table && entry.ids.includes(key)) {
+      entry.ids = entry.ids.filter((i) => i !== key);
+      if (entry.total !== null) entry.total -= 1;
+    }
+  });
+  notify();
+}
+
+/**
+ * Mark every collection of the given tables as stale.
+ * Collections on screen are refetched now, the rest when they are next used.
+ *
+ * @param {...string} tables - The tables whose data changed.
+ */
+export function invalidate(...tables) {
+  collections.forEach((entry) => {
+    if (tables.includes(entry.table)) {
+      entry.stale = true;
+      if (entry.subscribers > 0) {
+        revalidate(entry);
+      }
+    }
+  });
+  notify();
+}
+
+/**
+ * Forget every cached row and collection, e.g. when the interviewer signs out,
+ * so the next interviewer never sees them. Requests still in flight are not cached.
+ */
+export function clearStore() {
+  Object.keys(entities).forEach((table) => delete entities[table]);
+  Object.keys(partialIds).forEach((table) => delete partialIds[table]);
+  collections.clear();
+  inflightEntities.clear();
+  Object.keys(batches).forEach((table) => delete batches[table]);
+  generation += 1;
+  notify();
+}
+
+onSessionChange(clearStore);
+
+/**
+ * Get a cached row without fetching it (only if every column of it is cached).
+ *
+ * @returns {object|undefined}
+ */
+export function getCachedEntity(table, id) {
+  return fullEntity(table, String(id));
+}
+
+/**
+ * Queue an id for the next batched `id=in.(...)` request of its table.
+ * Requests for ids already in flight are shared.
+ */
+function loadEntity(table, id) {
+  const inflightKey = `${table}:${id}`;
+  if (inflightEntities.has(inflightKey)) {
+    return inflightEntities.get(inflightKey);
+  }
+
+  let batch = batches[table];
+  if (!batch) {
+    batch = { ids: new Set() };
+    const startedIn = generation;
+    // Wait a tick so lookups made during the same render are sent together
+    batch.promise = Promise.resolve().then(async () => {
+      if (batches[table] === batch) delete batches[table];
+      const rows = await query(table).in('id', [...batch.ids]).get();
+      if (startedIn !== generation) return;
+      mergeRows(table, rows);
+      notify();
+    });
+    batches[table] = batch;
+  }
+  batch.ids.add(id);
+
+  const promise = batch.promise
+    .then(() => fullEntity(table, id) ?? null)
+    .finally(() => inflightEntities.delete(inflightKey));
+  inflightEntities.set(inflightKey, promise);
+  return promise;
+}
+
+/**
+ * Get rows by id, using the cache where possible.
+ * Missing ids are fetched together in one request per table.
+ *
+ * @param {string} table - The table to read from.
+ * @param {Array<string|number>} ids - The IDs of the rows.
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Refetch rows even if they are cached.
+ * @returns {Promise<Array<object|null>>} - The rows, in the order of `ids` (null if not found).
+ */
+export function fetchEntities(table, ids, { force = false } = {}) {
+  return Promise.all(
+    ids.map((id) => {
+      const key = String(id);
+      const cached = fullEntity(table, key);
+      return cached && !force ? cached : loadEntity(table, key);
+    })
+  );
+}
+
+/**
+ * Fetch (or refetch) a collection. Concurrent calls share one request; a call made
+ * while a request is in flight queues one more fetch, since the data may have changed since.
+ * A paged collection refetches as many rows as it has loaded so far.
+ */
+function revalidate(entry) {
+  if (entry.promise) {
+    entry.refetch = true;
+    return entry.promise;
+  }
+
+  const builder = entry.buildQuery();
+  const partial = builder.isPartial();
+  const request = entry.pageSize
+    ? builder.range(0, Math.max(entry.pageSize, entry.ids.length) - 1).getPage()
+    : builder.get().then((rows) => ({ rows, total: rows.length }));
+  const startedIn = generation;
+
+  entry.promise = request
+    .then(({ rows, total }) => {
+      if (startedIn !== generation) return;
+      mergeRows(entry.table, rows, { partial });
+      entry.ids = rows.map((row) => String(row.id));
+      entry.total = total ?? rows.length;
+      entry.fetchedAt = Date.now();
+      entry.stale = false;
+      entry.error = null;
+    })
+    .catch((err) => {
+      entry.error = err;
+    })
+    .finally(() => {
+      entry.promise = null;
+      if (entry.refetch && startedIn === generation) {
+        entry.refetch = false;
+        revalidate(entry);
+      }
+      notify();
+    });
+
+  notify();
+  return entry.promise;
+}
+
+/**
+ * Fetch the next page of a paged collection and append it.
+ */
+function loadMore(entry) {
+  if (entry.loadingMore || entry.ids.length >= entry.total) {
+    return Promise.resolve();
+  }
+
+  entry.loadingMore = true;
+  notify();
+  const startedIn = generation;
+  const builder = entry.buildQuery();
+
+  return builder
+    .range(entry.ids.length, entry.ids.length + entry.pageSize - 1)
+    .getPage()
+    .then(({ rows, total }) => {
+      if (startedIn !== generation) return;
+      mergeRows(entry.table, rows, { partial: builder.isPartial() });
+      const seen = new Set(entry.ids);
+      entry.ids = [...entry.ids, ...rows.map((row) => String(row.id)).filter((id) => !seen.has(id))];
+      entry.total = total ?? entry.ids.length;
+    })
+    .catch((err) => {
+      entry.error = err;
+    })
+    .finally(() => {
+      entry.loadingMore = false;
+      notify();
+    });
+}
+
+function getCollection(key, table, pageSize) {
+  if (!collections.has(key)) {
+    collections.set(key, {
+      key,
+      table,
+      pageSize,
+      buildQuery: null,
+      ids: [],
+      total: null,
+      fetchedAt: null,
+      stale: false,
+      error: null,
+      promise: null,
+      refetch: false,
+      loadingMore: false,
+      subscribers: 0,
+    });
+  }
+  return collections.get(key);
+}
+
+/**
+ * React hook returning a cached list of rows, fetched with a query builder.
+ * Screens using the same key share one cache entry and one request.
+ *
+ * @param {string} key - Unique key for this list, including any filter values.
+ * @param {string} table - The table the rows belong to.
+ * @param {() => object} buildQuery - Returns a `query(table)` builder with filters and order applied.
+ * @param {object} [options]
+ * @param {number} [options.pageSize] - Fetch a page at a time instead of every row.
+ * @returns {{ rows: Array, total: number, loading: boolean, error: Error|null,
+ *   hasMore: boolean, loadingMore: boolean, loadMore: () => Promise<void> }}
+ */
+export function useCollection(key, table, buildQuery, { pageSize = null } = {}) {
+  useSyncExternalStore(subscribe, getVersion);
+
+  const buildRef = useRef(buildQuery);
+  useEffect(() => {
+    buildRef.current = buildQuery;
+  });
+
+  useEffect(() => {
+    const entry = getCollection(key, table, pageSize);
+    entry.buildQuery = () => buildRef.current();
+    entry.subscribers += 1;
+
+    const expired = entry.fetchedAt !== null && Date.now() - entry.fetchedAt > STALE_AFTER;
+    if (entry.fetchedAt === null || entry.stale || expired) {
+      revalidate(entry);
+    }
+    return () => {
+      entry.subscribers -= 1;
+    };
+  }, [key, table, pageSize]);
+
+  const entry = collections.get(key);
+  const map = tableOf(table);
+  const rows = entry ? entry.ids.map((id) => map.get(id)).filter(Boolean) : [];
+  const total = entry?.total ?? rows.length;
+
+  return {
+    rows,
+    total,
+    loading: !entry || (entry.fetchedAt === null && !entry.error),
+    error: entry?.error ?? null,
+    hasMore: Boolean(pageSize) && rows.length < total,
+    loadingMore: entry?.loadingMore ?? false,
+    loadMore: () => (entry ? loadMore(entry) : Promise.resolve()),
+  };
+}
+
+/**
+ * React hook returning rows by id, fetching any that are not cached in one batched request.
+ *
+ * @param {string} table - The table to read from.
+ * @param {Array<string|number>} ids - The IDs of the rows.
+ * @returns {object} - Map of id → row for the rows loaded so far.
+ */
+export function useEntities(table, ids) {
+  useSyncExternalStore(subscribe, getVersion);
+
+  const map = tableOf(table);
+  const missing = [...new Set(ids.map(String))].filter((id) => !fullEntity(table, id));
+  const missingKey = missing.join(',');
+
+  useEffect(() => {
+    if (missingKey) {
+      fetchEntities(table, missingKey.split(',')).catch(() => {});
+    }
+  }, [table, missingKey]);
+
+  const result = {};
+  ids.forEach((id) => {
+    const row = map.get(String(id));
+    if (row) result[id] = row;
+  });
+  return result;
+}
+
+/**
+ * Every interview, shared by the list screens and the interview dropdowns.
+ */
+export function useInterviews() {
+  return useCollection('interview:all', 'interview', () => query('interview').order('id'));
+}
+
+/**
+ * Every question, used for per-interview question counts, difficulty mixes and question bank uses.
+ * Only those columns are fetched.
+ */
+export function useAllQuestions() {
+  return useCollection('question:all', 'question', () =>
+    query('question').select('id,interview_id,difficulty,library_question_id').order('id')
+  );
+}
+
+/**
+ * Every applicant, used for per-interview applicant and status counts and the analytics.
+ * Only those columns are fetched.
+ */
+export function useAllApplicants() {
+  return useCollection('applicant:all', 'applicant', () =>
+    query('applicant').select('id,interview_id,interview_status,invited_at,completed_at').order('id')
+  );
+}
+
+// Filters matching every question bank entry
+export const EMPTY_LIBRARY_FILTERS = { search: '', category: '', seniority: '', tags: [] };
+
+/**
+ * Question bank entries matching the filters (see `libraryQuestionQuery`), a page at a time.
+ */
+export function useLibraryQuestions(filters, { pageSize = 20 } = {}) {
+  const { search = '', category = '', seniority = '', tags = [] } = filters;
+  return useCollection(
+    `library_question:${search.trim()}:${category}:${seniority}:${tags.join(',')}`,
+    'library_question',
+    () => libraryQuestionQuery(filters),
+    { pageSize }
+  );
+}